@@ -3,46 +3,296 @@
  *
  * Routes messages between the popup/content scripts and the Parker
  * client module. All Parker interactions happen directly via fetch()
- * — no local proxy server needed.
+ * — no local proxy server needed. Incoming messages are checked against
+ * the schemas in messages.js before they reach a handler.
  */
 
 import {
   isLoggedIn,
   doLogin,
-  ensureLoggedIn,
   lookupCandidate,
   createCandidate,
+  getCandidate,
+  updateCandidate,
+  getCandidateFields,
+  addCandidateNote,
+  getTeamRoster,
+  openParkerLogin,
 } from "./parker-client.js";
+import {
+  getLoginCredentials,
+  getCredentialStatus,
+  setCredentials,
+  unlockCredentials,
+  migrateLegacyPassword,
+} from "./credentials.js";
+import {
+  getCachedLookup,
+  setCachedLookup,
+  invalidateLookup,
+  pruneLookupCache,
+  clearLookupCache,
+} from "./lookup-cache.js";
+import {
+  normalizeParkerBaseUrl,
+  getParkerBase,
+  hasParkerAccess,
+  syncOriginRule,
+} from "./parker-instance.js";
+import { validateMessage } from "./messages.js";
+import { ErrorCode, failure } from "./errors.js";
+import { runDiagnostics, redactReport, recordLookupTimings } from "./diagnostics.js";
+import { setTabStatus, getTabStatus, clearTabStatus } from "./tab-status.js";
+import {
+  createContextMenus,
+  handleContextMenuClick,
+  handleNotificationClick,
+  handleNotificationClosed,
+} from "./context-menu.js";
+import { getDisplayMode, applyDisplayMode, isDisplayMode } from "./display-mode.js";
+
+// Popup views a content script may open in a tab (see OPEN_EXTENSION_VIEW)
+const EXTENSION_VIEWS = ["settings", "diagnostics"];
+
+// ── Credential migration ─────────────────────────────────────────────────
+
+// Older versions kept the password in chrome.storage.sync. Runs each time
+// the service worker starts, which also covers values synced in later.
+migrateLegacyPassword();
+
+// ── Tab lookups ──────────────────────────────────────────────────────────
+
+// tabId → AbortController for the sidebar lookup running in that tab.
+// Navigating within LinkedIn's SPA starts a new lookup, which cancels the
+// one it supersedes so stale Parker requests don't hold queue slots.
+const tabLookups = new Map();
+
+function startTabLookup(tabId) {
+  tabLookups.get(tabId)?.abort();
+  const controller = new AbortController();
+  tabLookups.set(tabId, controller);
+  return controller;
+}
+
+function cancelTabLookup(tabId) {
+  tabLookups.get(tabId)?.abort();
+  tabLookups.delete(tabId);
+}
+
+function finishTabLookup(tabId, controller) {
+  if (tabLookups.get(tabId) === controller) tabLookups.delete(tabId);
+}
+
+/**
+ * The tab a message acts on: the sidebar's own tab, or the tab the
+ * popup / side panel names with `tabId`.
+ */
+function targetTabId(msg, sender) {
+  return sender.tab ? sender.tab.id : msg.tabId;
+}
+
+/**
+ * Show a candidate picked, created or updated from the sidebar or popup
+ * as found on the tab's badge, so reopening the popup doesn't offer to
+ * create it again.
+ */
+async function recordTabCandidate(msg, sender, linkedinUrl, candidate) {
+  const tabId = targetTabId(msg, sender);
+  if (tabId === undefined || !candidate) return;
+  await setTabStatus(tabId, linkedinUrl, { found: true, candidate });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelTabLookup(tabId);
+  clearTabStatus(tabId);
+});
+
+// A full page load starts over, cancelling the old page's lookup; in-page
+// navigation is reported by the sidebar itself (CANCEL_LOOKUP). Neither
+// needs the "tabs" permission.
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== "loading") return;
+  cancelTabLookup(tabId);
+  clearTabStatus(tabId);
+});
 
 // ── Message listener ─────────────────────────────────────────────────────
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Reject unknown senders and malformed payloads up front
+  const rejection = validateMessage(msg, sender);
+  if (rejection) {
+    sendResponse(rejection);
+    return false;
+  }
+
   const handler = async () => {
     switch (msg.type) {
       case "LOOKUP_CANDIDATE": {
-        return await lookupCandidate(
-          msg.linkedinUrl,
-          msg.firstName,
-          msg.lastName
-        );
+        // Sidebar lookups carry a requestId; a newer one for the same tab
+        // cancels this one. Results are echoed with the ID and URL so the
+        // sidebar can drop any that arrive for a page it has left.
+        const tabId = msg.requestId !== undefined ? sender.tab?.id : undefined;
+        const controller = tabId !== undefined ? startTabLookup(tabId) : null;
+        const tag = (result) => msg.requestId === undefined
+          ? result
+          : { ...result, requestId: msg.requestId, linkedinUrl: msg.linkedinUrl };
+
+        // The sidebar's lookups drive the tab's toolbar badge, until the
+        // lookup is superseded or the tab navigates away. A popup lookup
+        // updates the tab it names, unless the sidebar's lookup is running.
+        // Other content script lookups (search result badges) don't.
+        const badgeTabId = tabId !== undefined ? tabId : msg.tabId;
+        const record = (result) => badgeTabId !== undefined &&
+          tabLookups.get(badgeTabId) === (controller || undefined)
+          ? setTabStatus(badgeTabId, msg.linkedinUrl, result)
+          : null;
+
+        try {
+          await record(null);
+          // msg.refresh skips the cache (sidebar/popup "refresh" control)
+          if (!msg.refresh) {
+            const cached = await getCachedLookup(msg.linkedinUrl);
+            if (cached) {
+              await record(cached);
+              return tag(cached);
+            }
+          }
+          const result = await lookupCandidate(
+            msg.linkedinUrl,
+            msg.firstName,
+            msg.lastName,
+            {
+              company: msg.company,
+              location: msg.location,
+              signal: controller?.signal,
+              // The sidebar's and popup's lookups go ahead of search result chips
+              priority: msg.requestId !== undefined || !sender.tab,
+            }
+          );
+          if (result.code === ErrorCode.CANCELLED) {
+            return tag({ cancelled: true });
+          }
+          if (result.timings) await recordLookupTimings(result.timings);
+          // Timings describe this request, not a later cache hit
+          const { timings, ...cacheable } = result;
+          await setCachedLookup(msg.linkedinUrl, cacheable);
+          await record(cacheable);
+          return tag(result);
+        } finally {
+          if (controller) finishTabLookup(tabId, controller);
+        }
+      }
+
+      case "CANCEL_LOOKUP": {
+        // The sidebar navigated to another page
+        cancelTabLookup(sender.tab.id);
+        await clearTabStatus(sender.tab.id);
+        return { ok: true };
+      }
+
+      case "GET_TAB_STATE": {
+        return { state: await getTabStatus(msg.tabId) };
+      }
+
+      case "GET_COMMANDS": {
+        // chrome.commands isn't available to content scripts; the sidebar
+        // shows the current (possibly rebound) shortcuts as hints
+        const commands = await chrome.commands.getAll();
+        return {
+          commands: commands.map(({ name, shortcut }) => ({ name, shortcut: shortcut || "" })),
+        };
+      }
+
+      case "GET_DISPLAY_MODE": {
+        // The sidebar stays hidden when results go to the side panel only
+        return { displayMode: await getDisplayMode() };
+      }
+
+      case "SELECT_POSSIBLE_MATCH": {
+        // User confirmed a possible match is the same person — remember
+        // it for this LinkedIn URL so revisits show the record directly.
+        const result = await getCandidate(msg.candidatePath);
+        if (result.found) {
+          await setCachedLookup(msg.linkedinUrl, result);
+          await recordTabCandidate(msg, sender, msg.linkedinUrl, result.candidate);
+        }
+        return result;
       }
 
       case "CREATE_CANDIDATE": {
-        return await createCandidate(msg.data);
+        const result = await createCandidate(msg.data);
+        if (result.ok) {
+          await invalidateLookup(msg.data.linkedinUrl);
+          await recordTabCandidate(msg, sender, msg.data.linkedinUrl, result.candidate);
+        }
+        return result;
+      }
+
+      case "GET_CANDIDATE_FIELDS": {
+        return await getCandidateFields(msg.candidateId);
+      }
+
+      case "UPDATE_CANDIDATE": {
+        const result = await updateCandidate(msg.candidateId, msg.fields, {
+          clear: msg.clear || [],
+        });
+        if (result.ok && result.candidate) {
+          // The record now belongs to this profile; the old URL's cache
+          // entry (if any) is stale.
+          await invalidateLookup(result.previousLinkedinUrl);
+          await setCachedLookup(msg.linkedinUrl, {
+            found: true,
+            candidate: result.candidate,
+          });
+          await recordTabCandidate(msg, sender, msg.linkedinUrl, result.candidate);
+        }
+        return result;
+      }
+
+      case "ADD_CANDIDATE_NOTE": {
+        const result = await addCandidateNote(msg.candidateId, msg.text);
+        if (result.ok) {
+          // The cached record's notes are now out of date
+          await invalidateLookup(msg.linkedinUrl);
+        }
+        return result;
+      }
+
+      case "GET_TEAM_ROSTER": {
+        return await getTeamRoster({ refresh: msg.refresh });
       }
 
       case "PARKER_LOGIN": {
-        const { parkerEmail, parkerPassword } = await chrome.storage.sync.get([
-          "parkerEmail",
-          "parkerPassword",
-        ]);
-        if (!parkerEmail || !parkerPassword) {
-          return {
-            ok: false,
-            error: "Configure credentials in extension settings.",
-          };
+        const credentials = await getLoginCredentials();
+        if (credentials) {
+          return await doLogin(credentials.email, credentials.password);
         }
-        return await doLogin(parkerEmail, parkerPassword);
+        if ((await getCredentialStatus()).locked) {
+          return failure(ErrorCode.AUTH_REQUIRED, "Unlock your saved password first.");
+        }
+        if (await isLoggedIn()) {
+          return { ok: true, message: "Using your Parker browser session." };
+        }
+        await openParkerLogin({ force: true });
+        return failure(
+          ErrorCode.AUTH_REQUIRED,
+          "Sign in to Parker in the tab that just opened, then try again."
+        );
+      }
+
+      case "OPEN_PARKER_LOGIN": {
+        await openParkerLogin({ force: true });
+        return { ok: true };
+      }
+
+      case "OPEN_EXTENSION_VIEW": {
+        // Content scripts can't open the popup, so show the view in a tab
+        if (!EXTENSION_VIEWS.includes(msg.view)) {
+          return failure(ErrorCode.VALIDATION, "Unknown extension view.");
+        }
+        await chrome.tabs.create({ url: chrome.runtime.getURL(`popup.html#${msg.view}`) });
+        return { ok: true };
       }
 
       case "CHECK_AUTH_STATUS": {
@@ -51,15 +301,69 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
 
       case "SAVE_SETTINGS": {
-        await chrome.storage.sync.set(msg.settings);
+        // Only whitelisted keys get this far (see messages.js) — the
+        // password is never synced, see SET_CREDENTIALS
+        const settings = { ...msg.settings };
+        if (settings.displayMode !== undefined && !isDisplayMode(settings.displayMode)) {
+          return failure(ErrorCode.VALIDATION, "Unknown display mode.");
+        }
+        if (settings.parkerBaseUrl === undefined) {
+          await chrome.storage.sync.set(settings);
+          return { ok: true };
+        }
+
+        const base = normalizeParkerBaseUrl(settings.parkerBaseUrl);
+        if (!base) {
+          return failure(ErrorCode.VALIDATION, "Parker URL must be https:// (or http://localhost).");
+        }
+        if (!(await hasParkerAccess(base))) {
+          return failure(
+            ErrorCode.VALIDATION,
+            `The extension hasn't been granted access to ${base}.`
+          );
+        }
+        const previousBase = await getParkerBase();
+        settings.parkerBaseUrl = base;
+        await chrome.storage.sync.set(settings);
+        if (base !== previousBase) {
+          // Results from the old instance don't apply to the new one
+          await syncOriginRule();
+          await clearLookupCache();
+        }
         return { ok: true };
       }
 
       case "GET_SETTINGS": {
-        return await chrome.storage.sync.get([
+        const settings = await chrome.storage.sync.get([
           "parkerEmail",
-          "parkerPassword",
+          "cacheTtlFoundMinutes",
+          "cacheTtlNotFoundMinutes",
+          "maxConcurrentRequests",
+          "maxSearchPages",
         ]);
+        return {
+          ...settings,
+          displayMode: await getDisplayMode(),
+          parkerBaseUrl: await getParkerBase(),
+          ...(await getCredentialStatus()),
+        };
+      }
+
+      case "SET_CREDENTIALS": {
+        return await setCredentials({
+          mode: msg.mode,
+          password: msg.password,
+          passphrase: msg.passphrase,
+        });
+      }
+
+      case "UNLOCK_CREDENTIALS": {
+        return await unlockCredentials(msg.passphrase);
+      }
+
+      case "RUN_DIAGNOSTICS": {
+        const report = await runDiagnostics();
+        return { ok: true, report, redacted: redactReport(report) };
       }
 
       case "PROFILE_PAGE_LOADED": {
@@ -67,7 +371,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
 
       default:
-        return { error: "Unknown message type" };
+        return failure(ErrorCode.UNKNOWN_MESSAGE_TYPE, "Unknown message type");
     }
   };
 
@@ -75,6 +379,53 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true; // keep channel open for async sendResponse
 });
 
+// ── Keyboard shortcuts ───────────────────────────────────────────────────
+
+// Shortcuts are declared in manifest.json and can be rebound at
+// chrome://extensions/shortcuts.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) return;
+
+  // Content scripts can't open tabs without a page gesture, so a found
+  // record is opened from here
+  if (command === "open-in-parker") {
+    const state = await getTabStatus(tab.id);
+    const url = state?.result?.found && state.result.candidate?.url;
+    if (url) {
+      await chrome.tabs.create({ url, index: tab.index + 1, openerTabId: tab.id });
+      return;
+    }
+  }
+
+  // The rest is up to the sidebar, which isn't injected on other pages
+  chrome.tabs.sendMessage(tab.id, { type: "RUN_COMMAND", command }).catch(() => {});
+});
+
+// ── Link context menu ────────────────────────────────────────────────────
+
+// "Look up in Parker" / "Add to Parker" on profile links on any site
+// (see context-menu.js). Menu entries persist, so they're only
+// registered on install and update.
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+});
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  handleContextMenuClick(info);
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId) => {
+  handleNotificationClick(notificationId, { button: true });
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  handleNotificationClick(notificationId);
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  handleNotificationClosed(notificationId);
+});
+
 // ── First-run onboarding ─────────────────────────────────────────────────
 
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -85,3 +436,48 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     }
   }
 });
+
+// ── Cache maintenance ────────────────────────────────────────────────────
+
+chrome.runtime.onStartup.addListener(() => {
+  pruneLookupCache();
+});
+
+// ── Parker instance ──────────────────────────────────────────────────────
+
+// The base URL is a synced setting: it may already be set on a fresh
+// install, or change later from another device
+chrome.runtime.onInstalled.addListener(() => {
+  syncOriginRule();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.parkerBaseUrl) {
+    syncOriginRule();
+  }
+});
+
+// ── Display mode ─────────────────────────────────────────────────────────
+
+// Sidebar, side panel or both (see display-mode.js). The side panel
+// options and toolbar icon behaviour are reapplied on each browser start.
+chrome.runtime.onInstalled.addListener(async () => {
+  await applyDisplayMode(await getDisplayMode());
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await applyDisplayMode(await getDisplayMode());
+});
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "sync" || !changes.displayMode) return;
+  const displayMode = await getDisplayMode();
+  await applyDisplayMode(displayMode);
+
+  // Show or hide open sidebars. Without the "tabs" permission tab URLs
+  // are unknown, so tell every tab; only LinkedIn tabs are listening.
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: "SET_DISPLAY_MODE", displayMode }).catch(() => {});
+  }
+});
@@ -1,70 +1,301 @@
 /**
- * Content script — runs on LinkedIn profile pages (linkedin.com/in/*)
+ * Content script — runs on LinkedIn profile pages (linkedin.com/in/*),
+ * LinkedIn Recruiter profiles (/talent/...) and Sales Navigator leads
+ * (/sales/lead/...).
  *
  * Injects a sidebar panel that automatically looks up the current
  * LinkedIn profile in Parker CRM and displays the result.
  */
 
-(() => {
+(async () => {
   "use strict";
 
   // Prevent double-injection (LinkedIn is a SPA)
   if (document.getElementById("parker-sidebar-host")) return;
 
+  // Content scripts can't be ES modules; load the shared ones dynamically
+  const {
+    canonicalLinkedinUrl,
+    linkedinProfileSlug,
+    isMemberIdSlug,
+    sameLinkedinProfile,
+  } = await import(
+    chrome.runtime.getURL("linkedin-url.js")
+  );
+  const { parseProfileName } = await import(chrome.runtime.getURL("name-parser.js"));
+
   // ── Profile data extraction ──────────────────────────────────────────
 
+  /**
+   * Per-layout extractors. Each knows how to recognise its page, which
+   * element is the profile's top card (present once the profile has
+   * rendered), where the candidate's name heading lives and how to
+   * resolve the public linkedin.com/in/ URL (Recruiter and Sales Navigator use their own
+   * opaque profile URLs, so the public one has to be found on the page).
+   */
+  const EXTRACTORS = {
+    profile: {
+      matches: (path) => path.startsWith("/in/"),
+      topCardSelectors: [
+        "section.pv-top-card",
+        ".pv-text-details__left-panel",
+        "#workspace section",
+        "main section",
+      ],
+      nameSelectors: [
+        "#workspace h2",                              // 2025+ layout (from XPATH)
+        "h1.text-heading-xlarge",                     // 2024+ layout
+        "h2.text-heading-xlarge",                     // 2025 h2 variant
+        ".pv-text-details__left-panel h1",            // classic layout
+        ".pv-text-details__left-panel h2",            // classic h2 variant
+        "div.mt2 h1",                                 // alternate layout
+        "div.mt2 h2",                                 // alternate h2 variant
+        "section.pv-top-card h1",                     // top card
+        "section.pv-top-card h2",                     // top card h2
+        "h1",                                          // last resort h1
+        "h2",                                          // last resort h2
+      ],
+      headlineSelectors: [
+        ".pv-text-details__left-panel .text-body-medium",
+        "section.pv-top-card .text-body-medium.break-words",
+        "div.mt2 .text-body-medium",
+      ],
+      locationSelectors: [
+        ".pv-text-details__left-panel span.text-body-small.inline",
+        "section.pv-top-card span.text-body-small.inline.t-black--light",
+        "div.mt2 span.text-body-small.inline",
+      ],
+      currentPosition: extractExperiencePosition,
+      resolveUrl: () => canonicalLinkedinUrl(location.href),
+    },
+
+    // LinkedIn Recruiter: /talent/profile/<id> or /talent/hire/.../profile/<id>
+    recruiter: {
+      matches: (path) => /^\/talent\/(?:.*\/)?profile\/[^/]+/.test(path),
+      topCardSelectors: [
+        "[data-test-row-lockup-full-name]",
+        ".artdeco-entity-lockup",
+        "#workspace",
+      ],
+      nameSelectors: [
+        "[data-test-row-lockup-full-name]",
+        ".artdeco-entity-lockup__title",
+        "#workspace h2",
+        "#workspace h1",
+      ],
+      headlineSelectors: ["[data-test-row-lockup-headline]"],
+      locationSelectors: ["[data-test-row-lockup-location]"],
+      currentPosition: () => ({
+        title: firstText(["[data-test-current-position] [data-test-position-entity-title]"]),
+        company: firstText(["[data-test-current-position] [data-test-position-entity-company-name]"]),
+      }),
+      resolveUrl: () => {
+        const m = location.pathname.match(/\/profile\/([^/?]+)/);
+        return findPublicProfileUrl(
+          [
+            "a[data-test-public-profile-link]",
+            "[data-test-personal-info-profile-link] a",
+            ".personal-info__link",
+          ],
+          m ? m[1] : ""
+        );
+      },
+    },
+
+    // Sales Navigator: /sales/lead/<id>,<auth type>,<auth token>
+    sales: {
+      matches: (path) => path.startsWith("/sales/lead/"),
+      topCardSelectors: [
+        '[data-anonymize="person-name"]',
+        "[data-x--lead--name]",
+      ],
+      nameSelectors: [
+        'h1[data-anonymize="person-name"]',
+        '[data-x--lead--name]',
+        "h1",
+      ],
+      headlineSelectors: ['[data-anonymize="headline"]'],
+      locationSelectors: ['[data-anonymize="location"]'],
+      currentPosition: () => ({
+        title: firstText(['[data-anonymize="job-title"]']),
+        company: firstText(['[data-anonymize="company-name"]']),
+      }),
+      resolveUrl: () => {
+        const m = location.pathname.match(/^\/sales\/lead\/([^,/]+)/);
+        return findPublicProfileUrl(
+          [
+            'a[data-control-name="view_linkedin"]',
+            'a[href*="linkedin.com/in/"][data-anonymize]',
+          ],
+          m ? m[1] : ""
+        );
+      },
+    },
+  };
+
+  function getPageType() {
+    const path = location.pathname;
+    for (const [type, extractor] of Object.entries(EXTRACTORS)) {
+      if (extractor.matches(path)) return type;
+    }
+    return null;
+  }
+
+  /**
+   * Find the candidate's public /in/ URL on a Recruiter or Sales Navigator
+   * page. Tries the explicit "public profile" links first, then the JSON
+   * LinkedIn embeds in <code> blocks. Those blocks also carry data for
+   * other people on the page, so blocks mentioning the current member ID
+   * are preferred. A vanity URL wins over an opaque member-ID one
+   * (/in/ACwAA…), which can't match a Parker record stored by vanity.
+   */
+  function findPublicProfileUrl(linkSelectors, memberId) {
+    let memberIdUrl = "";
+    const accept = (href) => {
+      const url = canonicalLinkedinUrl(href || "");
+      if (url && isMemberIdSlug(linkedinProfileSlug(url))) {
+        memberIdUrl = memberIdUrl || url;
+        return "";
+      }
+      return url;
+    };
+
+    for (const sel of linkSelectors) {
+      const el = document.querySelector(sel);
+      const url = el && accept(el.getAttribute("href"));
+      if (url) return url;
+    }
+
+    for (const a of document.querySelectorAll('a[href*="linkedin.com/in/"]')) {
+      if (/public profile|linkedin profile/i.test(a.textContent)) {
+        const url = accept(a.getAttribute("href"));
+        if (url) return url;
+      }
+    }
+
+    const pattern =
+      /"(?:publicProfileUrl|flagshipProfileUrl)"\s*:\s*"([^"]*linkedin\.com(?:\\?\/)in(?:\\?\/)[^"]+)"/;
+    const blobs = Array.from(
+      document.querySelectorAll('code, script[type="application/json"]'),
+      (el) => el.textContent
+    );
+    const preferred = memberId ? blobs.filter((b) => b.includes(memberId)) : [];
+    for (const blob of [...preferred, ...blobs]) {
+      const m = blob.match(pattern);
+      if (m) {
+        const url = accept(m[1].replace(/\\\//g, "/"));
+        if (url) return url;
+      }
+    }
+    return memberIdUrl;
+  }
+
   function getCleanLinkedInUrl() {
-    const url = new URL(window.location.href);
-    let path = url.pathname.replace(/\/+$/, "");
-    return `https://www.linkedin.com${path}`;
+    const type = getPageType();
+    return type ? EXTRACTORS[type].resolveUrl() : "";
   }
 
-  function extractProfileName() {
+  /**
+   * Text of the candidate's name heading, or "" if it hasn't rendered.
+   */
+  function findNameHeadingText() {
     // Try multiple selectors — LinkedIn changes layouts frequently
-    const selectors = [
-      "#workspace h2",                              // recruiter / 2025+ layout (from XPATH)
-      "h1.text-heading-xlarge",                     // 2024+ layout
-      "h2.text-heading-xlarge",                     // 2025 h2 variant
-      ".pv-text-details__left-panel h1",            // classic layout
-      ".pv-text-details__left-panel h2",            // classic h2 variant
-      "div.mt2 h1",                                 // alternate layout
-      "div.mt2 h2",                                 // alternate h2 variant
-      "section.pv-top-card h1",                     // top card
-      "section.pv-top-card h2",                     // top card h2
-      "h1",                                          // last resort h1
-      "h2",                                          // last resort h2
-    ];
-    let heading = null;
+    const type = getPageType();
+    const selectors = type ? EXTRACTORS[type].nameSelectors : [];
     for (const sel of selectors) {
       const el = document.querySelector(sel);
       if (el && el.innerText.trim()) {
         // Sanity check: name should be short-ish and not a section title
+        // (credentials and pronouns can make real names fairly long)
         const text = el.innerText.trim();
-        if (text.length < 60 && !text.includes("\n")) {
-          heading = el;
-          break;
-        }
+        if (text.length < 100 && !text.includes("\n")) return text;
       }
     }
-    if (!heading) return { firstName: "", lastName: "" };
-    const full = heading.innerText.trim();
-    const parts = full.split(/\s+/);
-    return {
-      firstName: parts[0] || "",
-      lastName: parts.slice(1).join(" ") || "",
-    };
+    return "";
+  }
+
+  function extractProfileName() {
+    // Strips honorifics, credentials, pronouns and emoji; the URL slug
+    // fills in an abbreviated or missing name (see name-parser.js)
+    return parseProfileName(findNameHeadingText(), getCleanLinkedInUrl());
+  }
+
+  /**
+   * Text of the first selector that matches a non-empty element
+   * (first line only — LinkedIn nests visually-hidden duplicates).
+   */
+  function firstText(selectors) {
+    for (const sel of selectors) {
+      const el = document.querySelector(sel);
+      const text = el && el.innerText.trim();
+      if (text) return text.split("\n")[0].trim();
+    }
+    return "";
+  }
+
+  /**
+   * Current title and company from the first entry of the profile's
+   * Experience section. A single role renders as [title, "Company ·
+   * Full-time", ...]; several roles at one company are grouped under a
+   * bold company name with the roles nested below it.
+   */
+  function extractExperiencePosition() {
+    const anchor = document.getElementById("experience");
+    const section = anchor && anchor.closest("section");
+    const item = section && section.querySelector("li");
+    if (!item) return { title: "", company: "" };
+
+    const bold = Array.from(
+      item.querySelectorAll('.t-bold span[aria-hidden="true"]'),
+      (el) => el.textContent.trim()
+    ).filter(Boolean);
+    if (bold.length >= 2) {
+      return { title: bold[1], company: bold[0] };
+    }
+
+    const sub = item.querySelector('.t-14.t-normal span[aria-hidden="true"]');
+    const company = sub ? sub.textContent.split("·")[0].trim() : "";
+    return { title: bold[0] || "", company };
+  }
+
+  /**
+   * Fall back to "Title at Company" headlines when the experience
+   * section hasn't rendered or isn't visible to the viewer.
+   */
+  function positionFromHeadline(headline) {
+    const m = headline.split("|")[0].match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    return m ? { title: m[1].trim(), company: m[2].trim() } : { title: "", company: "" };
+  }
+
+  function extractProfileDetails() {
+    const type = getPageType();
+    if (!type) return { headline: "", title: "", company: "", location: "" };
+    const extractor = EXTRACTORS[type];
+
+    const headline = firstText(extractor.headlineSelectors);
+    const location = firstText(extractor.locationSelectors);
+    let { title, company } = extractor.currentPosition();
+    if (!title && !company) {
+      ({ title, company } = positionFromHeadline(headline));
+    }
+    return { headline, title, company, location };
   }
 
   function getProfileData() {
     const { firstName, lastName } = extractProfileName();
-    return { linkedinUrl: getCleanLinkedInUrl(), firstName, lastName };
+    return {
+      linkedinUrl: getCleanLinkedInUrl(),
+      firstName,
+      lastName,
+      ...extractProfileDetails(),
+    };
   }
 
   // ── Sidebar UI ───────────────────────────────────────────────────────
 
   const host = document.createElement("div");
   host.id = "parker-sidebar-host";
-  host.style.cssText = "all:initial; position:fixed; top:80px; right:0; z-index:2147483647; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;";
+  host.style.cssText = "all:initial; position:fixed; top:80px; right:0; z-index:2147483647; display:none; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;";
   document.body.appendChild(host);
 
   const shadow = host.attachShadow({ mode: "closed" });
@@ -114,6 +345,13 @@
   .collapse-arrow {
     font-size: 14px; transition: transform .25s;
   }
+  .refresh-btn {
+    background: none; border: none; cursor: pointer;
+    color: #fff; font-size: 14px; line-height: 1;
+    padding: 0 4px; opacity: .8;
+  }
+  .refresh-btn:hover { opacity: 1; }
+  .refresh-btn:disabled { opacity: .4; cursor: default; }
   .collapsed .collapse-arrow { transform: rotate(180deg); }
 
   /* Body */
@@ -171,6 +409,13 @@
     font-family: inherit;
   }
   .form-field input:focus { outline: none; border-color: #0a66c2; }
+  .form-field select {
+    padding: 5px 6px; border: 1px solid #d1d1d6; border-radius: 5px;
+    font-size: 12px; background: #fafafa; color: #1d1d1f;
+    font-family: inherit; min-width: 0;
+  }
+  .owner-warning { font-size: 11px; color: #ff3b30; }
+  .owner-warning:empty { display: none; }
   .create-btn {
     display: block; width: 100%; text-align: center;
     margin-top: 6px; padding: 8px 14px;
@@ -196,15 +441,84 @@
     font-size: 12px; font-weight: 500;
   }
   .retry-btn:hover { background: #d1d1d6; }
+  .retry-btn.primary { background: #0a66c2; color: #fff; }
+  .retry-btn.primary:hover { background: #004182; }
+  .error-hint { text-align: center; color: #86868b; font-size: 11px; margin-top: 4px; }
+  .error-hint:empty { display: none; }
+
+  /* Submissions */
+  .submissions { display: flex; flex-direction: column; gap: 6px; margin-top: 10px; }
+  .submissions-header { display: flex; align-items: center; justify-content: space-between; }
+  .submission-row { display: flex; flex-direction: column; gap: 2px; padding: 6px 8px; background: #f5f5f7; border-radius: 6px; }
+  .submission-top { display: flex; align-items: center; gap: 6px; }
+  .submission-role { flex: 1; font-size: 12px; font-weight: 600; color: #1d1d1f; }
+  .submission-meta { font-size: 11px; color: #86868b; }
+  .stage-pill {
+    font-size: 10px; font-weight: 600; white-space: nowrap;
+    padding: 1px 7px; border-radius: 10px;
+    background: #e8f0fe; color: #0a66c2;
+  }
+  .stage-pill.offer { background: #fff4e5; color: #c76b00; }
+  .stage-pill.won { background: #e6f7eb; color: #1f8a3b; }
+  .stage-pill.closed { background: #f0f0f2; color: #86868b; }
+  .toggle-link {
+    background: none; border: none; cursor: pointer; padding: 0;
+    font-size: 11px; font-weight: 500; color: #0a66c2; text-align: left;
+  }
+  .toggle-link:hover { text-decoration: underline; }
+
+  /* Possible matches */
+  .possible-matches { display: flex; flex-direction: column; gap: 6px; }
+  .match-row { display: flex; flex-direction: column; gap: 2px; padding: 8px; border: 1px solid #e5e5e7; border-radius: 6px; }
+  .match-name { font-size: 12px; font-weight: 600; color: #0a66c2; text-decoration: none; }
+  .match-name:hover { text-decoration: underline; }
+  .match-meta { font-size: 11px; color: #86868b; word-break: break-all; }
+  .match-btn {
+    margin-top: 4px; padding: 5px 8px;
+    background: #e8f0fe; color: #0a66c2;
+    border: none; border-radius: 5px; cursor: pointer;
+    font-size: 11px; font-weight: 600;
+  }
+  .match-btn:hover { background: #d6e4fc; }
+  .match-btn:disabled { opacity: .6; cursor: default; }
+
+  /* Notes */
+  .notes { display: flex; flex-direction: column; gap: 6px; margin-top: 10px; }
+  .note-row { padding: 6px 8px; background: #f5f5f7; border-radius: 6px; }
+  .note-meta { font-size: 10px; color: #86868b; margin-bottom: 2px; }
+  .note-body { font-size: 12px; color: #1d1d1f; white-space: pre-wrap; word-break: break-word; }
+  .note-empty { font-size: 11px; color: #aeaeb2; }
+  .note-input {
+    padding: 6px 8px; border: 1px solid #d1d1d6; border-radius: 5px;
+    font-size: 12px; background: #fafafa; color: #1d1d1f;
+    font-family: inherit; resize: vertical;
+  }
+  .note-input:focus { outline: none; border-color: #0a66c2; }
+
+  /* Edit */
+  .edit-section { display: flex; flex-direction: column; gap: 6px; margin-top: 8px; }
+  .edit-form { display: none; flex-direction: column; gap: 6px; }
+  .edit-form.open { display: flex; }
+  .edit-status { font-size: 11px; color: #86868b; text-align: center; }
+  .edit-status.error { color: #ff3b30; }
+  .edit-status.success { color: #34c759; }
+  .url-hint { font-size: 11px; color: #c76b00; }
+  .url-hint:empty { display: none; }
 
   /* Divider */
   .divider { border: none; border-top: 1px solid #e5e5e7; margin: 10px 0; }
+
+  /* Keyboard shortcut hints */
+  .shortcut-hints { margin-top: 10px; font-size: 10px; color: #aeaeb2; text-align: center; line-height: 1.5; }
+  .shortcut-hints:empty { display: none; }
+  .shortcut-hints kbd { font-family: inherit; font-size: 10px; color: #86868b; }
 </style>
 
 <div class="parker-panel" id="panel">
   <div class="header" id="header">
     <span class="header-title">Parker CRM</span>
     <span class="header-badge" id="badge">…</span>
+    <button class="refresh-btn" id="btn-refresh" title="Refresh (skip cache)">&#8635;</button>
     <span class="collapse-arrow" id="arrow">&#9654;</span>
   </div>
   <div class="body">
@@ -223,6 +537,47 @@
         <div class="timeline-title">Timeline</div>
         <div id="timeline-rows"></div>
       </div>
+      <div class="submissions" id="submissions">
+        <div class="submissions-header">
+          <div class="timeline-title">Submissions</div>
+          <button class="toggle-link" id="btn-submissions-toggle"></button>
+        </div>
+        <div id="submission-rows"></div>
+      </div>
+      <div class="notes">
+        <div class="timeline-title">Notes</div>
+        <div id="note-rows"></div>
+        <textarea class="note-input" id="note-input" rows="3" placeholder="Add a note to this candidate…"></textarea>
+        <button class="create-btn" id="btn-add-note">Add note</button>
+        <div class="edit-status" id="note-status"></div>
+      </div>
+      <div class="edit-section">
+        <div class="url-hint" id="url-hint"></div>
+        <button class="toggle-link" id="btn-edit-toggle">Update from LinkedIn</button>
+        <div class="edit-form" id="edit-form">
+          <div class="form-field">
+            <label>LinkedIn URL</label>
+            <input type="text" id="edit-linkedin" />
+          </div>
+          <div class="form-row">
+            <div class="form-field">
+              <label>Current title</label>
+              <input type="text" id="edit-title" />
+            </div>
+            <div class="form-field">
+              <label>Company</label>
+              <input type="text" id="edit-company" />
+            </div>
+          </div>
+          <div class="form-field">
+            <label>Location</label>
+            <input type="text" id="edit-location" />
+          </div>
+          <button class="toggle-link" id="btn-edit-fill">Use LinkedIn values</button>
+          <button class="create-btn" id="btn-save-edit">Save to Parker</button>
+          <div class="edit-status" id="edit-status"></div>
+        </div>
+      </div>
       <a class="parker-link" id="parker-link" href="#" target="_blank">Open in Parker</a>
     </div>
 
@@ -230,6 +585,10 @@
     <div class="state" id="state-not-found">
       <div class="not-found-icon">&#128269;</div>
       <div class="not-found-text">Not in Parker yet</div>
+      <div class="possible-matches" id="possible-matches">
+        <div class="timeline-title">Possible matches</div>
+        <div id="possible-match-rows"></div>
+      </div>
       <div class="form-row">
         <div class="form-field">
           <label>First name</label>
@@ -240,6 +599,35 @@
           <input type="text" id="field-last" />
         </div>
       </div>
+      <div class="form-field">
+        <label>Headline</label>
+        <input type="text" id="field-headline" />
+      </div>
+      <div class="form-row">
+        <div class="form-field">
+          <label>Current title</label>
+          <input type="text" id="field-title" />
+        </div>
+        <div class="form-field">
+          <label>Company</label>
+          <input type="text" id="field-company" />
+        </div>
+      </div>
+      <div class="form-field">
+        <label>Location</label>
+        <input type="text" id="field-location" />
+      </div>
+      <div class="form-row">
+        <div class="form-field">
+          <label>Owner</label>
+          <select id="field-owner"></select>
+        </div>
+        <div class="form-field">
+          <label>Sourced by</label>
+          <select id="field-sourced-by"></select>
+        </div>
+      </div>
+      <div class="owner-warning" id="owner-warning"></div>
       <button class="create-btn" id="btn-create">Create Candidate</button>
     </div>
 
@@ -253,8 +641,12 @@
     <!-- Error -->
     <div class="state" id="state-error">
       <div class="error-text" id="error-msg">Something went wrong.</div>
+      <div class="error-hint" id="error-hint"></div>
+      <button class="retry-btn primary" id="btn-error-action" style="display:none"></button>
       <button class="retry-btn" id="btn-retry">Retry</button>
     </div>
+
+    <div class="shortcut-hints" id="shortcut-hints"></div>
   </div>
 </div>
 `;
@@ -266,6 +658,7 @@
   const header  = $("#header");
   const badge   = $("#badge");
   const arrow   = $("#arrow");
+  const refreshBtn = $("#btn-refresh");
 
   const states = {
     loading:  $("#state-loading"),
@@ -286,25 +679,513 @@
     if (type) badge.classList.add(type);
   }
 
+  // ── Errors ────────────────────────────────────────────────────────────
+
+  // Recovery action offered per error code (codes from errors.js)
+  const ERROR_ACTIONS = {
+    AUTH_REQUIRED: "settings",
+    AUTH_FAILED: "settings",
+    NETWORK: "retry",
+    HTTP_5XX: "retry",
+    RATE_LIMITED: "retry",
+    CSRF_MISSING: "report",
+    PARSE_FAILED: "report",
+    DUPLICATE: "record",
+  };
+
+  // Delays before automatic lookup retries; after these, manual only
+  const RETRY_DELAYS_MS = [2000, 5000, 15000];
+  let retryTimer = null;
+
+  /**
+   * Show the error state for a failure result ({ error, code }) with the
+   * recovery action its code calls for. For transient errors, `retry`
+   * (called with the next attempt number) is scheduled with backoff.
+   */
+  function showError(result, fallback, { retry = null, attempt = 0 } = {}) {
+    clearTimeout(retryTimer);
+    const action = ERROR_ACTIONS[result?.code];
+    const hint = $("#error-hint");
+    $("#error-msg").textContent = result?.error || fallback;
+    hint.textContent = "";
+    $("#btn-error-action").style.display = "none";
+
+    if (action === "settings") {
+      showErrorAction("Open settings", () => openExtensionView("settings"));
+    } else if (action === "report") {
+      hint.textContent = "Parker's pages may have changed.";
+      showErrorAction("Report parser issue", () => openExtensionView("diagnostics"));
+    } else if (action === "record" && result.candidate) {
+      showErrorAction("Show existing record", () => renderFound(result.candidate, getProfileData()));
+    } else if (action === "retry" && retry && attempt < RETRY_DELAYS_MS.length) {
+      const delay = RETRY_DELAYS_MS[attempt];
+      hint.textContent = `Retrying in ${delay / 1000}s…`;
+      retryTimer = setTimeout(() => retry(attempt + 1), delay);
+    }
+
+    showState("error");
+    setBadge("ERR", "error");
+  }
+
+  /**
+   * Whether a failed inline action (note, edit) should switch to the
+   * error state so its recovery action can be offered.
+   */
+  function needsErrorState(result) {
+    const action = ERROR_ACTIONS[result?.code];
+    return !!action && action !== "retry";
+  }
+
+  function showErrorAction(label, onClick) {
+    const btn = $("#btn-error-action");
+    btn.textContent = label;
+    btn.onclick = onClick;
+    btn.style.display = "";
+  }
+
+  /**
+   * Content scripts can't open the popup, so settings and diagnostics
+   * open as a tab.
+   */
+  function openExtensionView(view) {
+    chrome.runtime.sendMessage({ type: "OPEN_EXTENSION_VIEW", view });
+  }
+
   // ── Collapse toggle ───────────────────────────────────────────────────
 
   let collapsed = false;
-  header.addEventListener("click", () => {
-    collapsed = !collapsed;
+
+  function setCollapsed(value) {
+    collapsed = value;
     panel.classList.toggle("collapsed", collapsed);
+  }
+
+  header.addEventListener("click", () => setCollapsed(!collapsed));
+
+  // ── Display mode ──────────────────────────────────────────────────────
+
+  // Hidden when results go to Chrome's side panel only (see
+  // display-mode.js). Lookups still run here — the side panel shows
+  // this tab's result.
+  let sidebarEnabled = true;
+
+  function updateHostDisplay() {
+    // Recruiter and Sales Navigator also host non-profile pages
+    host.style.display = sidebarEnabled && getPageType() ? "" : "none";
+  }
+
+  function setDisplayMode(displayMode) {
+    sidebarEnabled = displayMode !== "sidepanel"; // DisplayMode.SIDE_PANEL
+    updateHostDisplay();
+  }
+
+  // ── Submissions ───────────────────────────────────────────────────────
+
+  const SUBMISSIONS_COLLAPSED_COUNT = 3;
+  let submissionsExpanded = false;
+  let currentSubmissions = [];
+
+  /**
+   * Bucket a Parker stage name for pill colouring.
+   */
+  function stageClass(stage) {
+    if (/hired|placed|started|accepted/i.test(stage)) return "won";
+    if (/reject|declin|withdr|closed|lost|pass/i.test(stage)) return "closed";
+    if (/offer/i.test(stage)) return "offer";
+    return "";
+  }
+
+  function renderSubmissions(submissions) {
+    currentSubmissions = submissions;
+    const section = $("#submissions");
+    const container = $("#submission-rows");
+    const toggle = $("#btn-submissions-toggle");
+    container.innerHTML = "";
+
+    section.style.display = submissions.length ? "" : "none";
+    if (!submissions.length) return;
+
+    const visible = submissionsExpanded
+      ? submissions
+      : submissions.slice(0, SUBMISSIONS_COLLAPSED_COUNT);
+    for (const sub of visible) {
+      const row = document.createElement("div");
+      row.className = "submission-row";
+
+      const top = document.createElement("div");
+      top.className = "submission-top";
+      const role = document.createElement("span");
+      role.className = "submission-role";
+      role.textContent = [sub.role, sub.company].filter(Boolean).join(" — ");
+      const pill = document.createElement("span");
+      pill.className = `stage-pill ${stageClass(sub.stage || "")}`;
+      pill.textContent = sub.stage || "—";
+      top.append(role, pill);
+
+      const meta = document.createElement("div");
+      meta.className = "submission-meta";
+      meta.textContent = [sub.dates, sub.owner].filter(Boolean).join(" · ");
+
+      row.append(top, meta);
+      container.appendChild(row);
+    }
+
+    const hidden = submissions.length - SUBMISSIONS_COLLAPSED_COUNT;
+    toggle.style.display = hidden > 0 ? "" : "none";
+    toggle.textContent = submissionsExpanded ? "Show less" : `Show all (${submissions.length})`;
+  }
+
+  $("#btn-submissions-toggle").addEventListener("click", () => {
+    submissionsExpanded = !submissionsExpanded;
+    renderSubmissions(currentSubmissions);
+  });
+
+  // ── Found state ───────────────────────────────────────────────────────
+
+  function renderFound(c, profile) {
+    $("#cand-name").textContent = c.name || profile.firstName + " " + profile.lastName;
+    $("#cand-owner").textContent = c.current_owner ? "Owner: " + c.current_owner : "";
+    $("#cand-location").textContent = c.location || "";
+    $("#parker-link").href = c.url || "#";
+
+    // Render timeline
+    const container = $("#timeline-rows");
+    container.innerHTML = "";
+    for (const evt of (c.timeline || [])) {
+      const hasDate = evt.date && evt.date !== "N/A";
+      const row = document.createElement("div");
+      row.className = "timeline-row";
+      row.innerHTML =
+        `<span class="timeline-dot ${hasDate ? "done" : "pending"}"></span>` +
+        `<span class="timeline-label">${evt.label}</span>` +
+        `<span class="timeline-date ${hasDate ? "" : "na"}">${evt.date || "N/A"}</span>`;
+      container.appendChild(row);
+    }
+
+    submissionsExpanded = false;
+    renderSubmissions(c.submissions || []);
+
+    renderNotes(c.notes || []);
+    $("#note-input").value = "";
+    $("#note-status").textContent = "";
+
+    currentCandidate = c;
+    resetEditForm();
+    $("#url-hint").textContent = sameLinkedinProfile(c.linkedin_url, profile.linkedinUrl)
+      ? ""
+      : c.linkedin_url
+        ? "Parker has a different LinkedIn URL for this candidate."
+        : "This Parker record has no LinkedIn URL.";
+
+    showState("found");
+    const count = (c.submissions || []).length;
+    setBadge(count ? `IN PARKER · ${count}` : "IN PARKER", "found");
+  }
+
+  // ── Notes ─────────────────────────────────────────────────────────────
+
+  function renderNotes(notes) {
+    const container = $("#note-rows");
+    container.innerHTML = "";
+    if (!notes.length) {
+      const empty = document.createElement("div");
+      empty.className = "note-empty";
+      empty.textContent = "No notes yet.";
+      container.appendChild(empty);
+      return;
+    }
+    for (const note of notes) {
+      const row = document.createElement("div");
+      row.className = "note-row";
+      const meta = document.createElement("div");
+      meta.className = "note-meta";
+      meta.textContent = [note.author, note.date].filter(Boolean).join(" · ");
+      const body = document.createElement("div");
+      body.className = "note-body";
+      body.textContent = note.body;
+      if (meta.textContent) row.appendChild(meta);
+      row.appendChild(body);
+      container.appendChild(row);
+    }
+  }
+
+  $("#btn-add-note").addEventListener("click", async () => {
+    const btn = $("#btn-add-note");
+    const statusEl = $("#note-status");
+    const text = $("#note-input").value.trim();
+    if (!currentCandidate || !currentCandidate.id || !text) return;
+
+    btn.disabled = true;
+    btn.textContent = "Saving…";
+    statusEl.className = "edit-status";
+    statusEl.textContent = "";
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: "ADD_CANDIDATE_NOTE",
+        candidateId: currentCandidate.id,
+        text,
+        linkedinUrl: getProfileData().linkedinUrl,
+      });
+      if (result.ok) {
+        $("#note-input").value = "";
+        if (result.notes.length) renderNotes(result.notes);
+        statusEl.className = "edit-status success";
+        statusEl.textContent = "Note added.";
+      } else if (needsErrorState(result)) {
+        showError(result, "Could not add note.");
+      } else {
+        statusEl.className = "edit-status error";
+        statusEl.textContent = result.error || "Could not add note.";
+      }
+    } catch (err) {
+      statusEl.className = "edit-status error";
+      statusEl.textContent = err.message || "Could not add note.";
+    }
+    btn.disabled = false;
+    btn.textContent = "Add note";
+  });
+
+  // ── Update candidate ──────────────────────────────────────────────────
+
+  let currentCandidate = null;
+
+  const EDIT_INPUTS = {
+    linkedinUrl: "#edit-linkedin",
+    title: "#edit-title",
+    company: "#edit-company",
+    location: "#edit-location",
+  };
+
+  // Parker's current values, loaded when the edit form opens. Only
+  // fields that differ from them are sent, so a blank LinkedIn scrape
+  // never overwrites Parker data.
+  let editOriginal = null;
+
+  function resetEditForm() {
+    editOriginal = null;
+    for (const selector of Object.values(EDIT_INPUTS)) $(selector).value = "";
+    $("#edit-status").textContent = "";
+    $("#edit-form").classList.remove("open");
+  }
+
+  async function loadEditFields() {
+    const statusEl = $("#edit-status");
+    const saveBtn = $("#btn-save-edit");
+    const candidateId = currentCandidate.id;
+    editOriginal = null;
+    saveBtn.disabled = true;
+    statusEl.className = "edit-status";
+    statusEl.textContent = "Loading Parker's values…";
+
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({ type: "GET_CANDIDATE_FIELDS", candidateId });
+    } catch (err) {
+      result = { ok: false, error: err.message };
+    }
+    if (currentCandidate?.id !== candidateId) return;
+    if (!result.ok) {
+      statusEl.className = "edit-status error";
+      statusEl.textContent = result.error || "Could not load the Parker record.";
+      return;
+    }
+
+    editOriginal = {};
+    for (const [key, selector] of Object.entries(EDIT_INPUTS)) {
+      editOriginal[key] = result.fields[key] || "";
+      $(selector).value = editOriginal[key];
+    }
+    statusEl.textContent = "";
+    saveBtn.disabled = false;
+  }
+
+  /**
+   * Fields the user changed from Parker's values, and which of them
+   * they emptied on purpose.
+   */
+  function editedFields() {
+    const fields = {};
+    const clear = [];
+    for (const [key, selector] of Object.entries(EDIT_INPUTS)) {
+      const value = $(selector).value.trim();
+      if (value === editOriginal[key]) continue;
+      fields[key] = value;
+      if (!value) clear.push(key);
+    }
+    return { fields, clear };
+  }
+
+  async function sendUpdate(candidateId, fields, clear) {
+    return chrome.runtime.sendMessage({
+      type: "UPDATE_CANDIDATE",
+      candidateId,
+      fields,
+      clear,
+      linkedinUrl: getProfileData().linkedinUrl,
+    });
+  }
+
+  $("#btn-edit-toggle").addEventListener("click", () => {
+    const open = $("#edit-form").classList.toggle("open");
+    if (open && currentCandidate?.id) loadEditFields();
+  });
+
+  $("#btn-edit-fill").addEventListener("click", () => {
+    // Only the details LinkedIn shows; blanks keep Parker's value
+    const profile = getProfileData();
+    for (const [key, selector] of Object.entries(EDIT_INPUTS)) {
+      if (profile[key]) $(selector).value = profile[key];
+    }
+  });
+
+  $("#btn-save-edit").addEventListener("click", async () => {
+    const btn = $("#btn-save-edit");
+    const statusEl = $("#edit-status");
+    if (!currentCandidate || !currentCandidate.id || !editOriginal) return;
+
+    const { fields, clear } = editedFields();
+    if (!Object.keys(fields).length) {
+      statusEl.className = "edit-status";
+      statusEl.textContent = "Nothing to update.";
+      return;
+    }
+
+    btn.disabled = true;
+    btn.textContent = "Saving…";
+    statusEl.className = "edit-status";
+    statusEl.textContent = "";
+    try {
+      const result = await sendUpdate(currentCandidate.id, fields, clear);
+      if (!result.ok && needsErrorState(result)) {
+        showError(result, "Update failed.");
+      } else if (!result.ok) {
+        statusEl.className = "edit-status error";
+        statusEl.textContent = result.error || "Update failed.";
+      } else if (result.unchanged) {
+        statusEl.textContent = "Nothing to update.";
+      } else {
+        if (result.candidate) renderFound(result.candidate, getProfileData());
+        statusEl.className = "edit-status success";
+        statusEl.textContent = `Updated ${result.changed.join(", ")}.` +
+          (result.skipped.length ? ` Not in Parker's form: ${result.skipped.join(", ")}.` : "");
+      }
+    } catch (err) {
+      statusEl.className = "edit-status error";
+      statusEl.textContent = err.message || "Update failed.";
+    }
+    btn.disabled = false;
+    btn.textContent = "Save to Parker";
   });
 
+  // ── Possible matches ──────────────────────────────────────────────────
+
+  function renderPossibleMatches(matches) {
+    const section = $("#possible-matches");
+    const container = $("#possible-match-rows");
+    container.innerHTML = "";
+    section.style.display = matches.length ? "" : "none";
+
+    for (const match of matches) {
+      const row = document.createElement("div");
+      row.className = "match-row";
+
+      const name = document.createElement("a");
+      name.className = "match-name";
+      name.href = match.url;
+      name.target = "_blank";
+      name.textContent = match.name;
+
+      const meta = document.createElement("div");
+      meta.className = "match-meta";
+      meta.textContent = match.summary || "";
+
+      const url = document.createElement("div");
+      url.className = "match-meta";
+      url.textContent = match.linkedin_url || "No LinkedIn URL in Parker";
+
+      const btn = document.createElement("button");
+      btn.className = "match-btn";
+      btn.textContent = "This is the same person";
+      btn.addEventListener("click", () => selectPossibleMatch(match, btn));
+
+      const attachBtn = document.createElement("button");
+      attachBtn.className = "match-btn";
+      attachBtn.textContent = "Attach this LinkedIn URL";
+      attachBtn.addEventListener("click", () => attachLinkedinUrl(match, attachBtn));
+
+      row.append(name, meta, url, btn, attachBtn);
+      container.appendChild(row);
+    }
+  }
+
+  async function selectPossibleMatch(match, btn) {
+    btn.disabled = true;
+    btn.textContent = "Loading…";
+    const profile = getProfileData();
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: "SELECT_POSSIBLE_MATCH",
+        linkedinUrl: profile.linkedinUrl,
+        candidatePath: match.path,
+      });
+      if (result.found) {
+        renderFound(result.candidate || {}, profile);
+      } else {
+        showError(result, "Could not load candidate.");
+      }
+    } catch (err) {
+      showError({ error: err.message }, "Could not connect to Parker.");
+    }
+  }
+
+  async function attachLinkedinUrl(match, btn) {
+    btn.disabled = true;
+    btn.textContent = "Saving…";
+    try {
+      const result = await sendUpdate(match.id, {
+        linkedinUrl: getProfileData().linkedinUrl,
+      });
+      if (result.ok && result.candidate) {
+        renderFound(result.candidate, getProfileData());
+      } else if (result.ok) {
+        // Already had this URL — just show the record
+        await selectPossibleMatch(match, btn);
+      } else {
+        showError(result, "Update failed.");
+      }
+    } catch (err) {
+      showError({ error: err.message }, "Could not connect to Parker.");
+    }
+  }
+
   // ── Lookup logic ──────────────────────────────────────────────────────
 
-  async function doLookup() {
+  // Incremented per lookup and on navigation; a response whose requestId
+  // is no longer current belongs to a page the user has left.
+  let lookupSeq = 0;
+  // Name heading at the time of the latest lookup (see waitForProfileReady)
+  let lastLookupName = "";
+
+  /**
+   * Whether a lookup response is for the latest lookup, i.e. the user
+   * hasn't navigated or started another one since.
+   */
+  function isCurrentLookup(result, requestId) {
+    return requestId === lookupSeq && !result?.cancelled;
+  }
+
+  async function doLookup({ refresh = false, attempt = 0 } = {}) {
+    clearTimeout(retryTimer);
+    const requestId = ++lookupSeq;
     showState("loading");
     setBadge("…", "");
+    refreshBtn.disabled = true;
 
     const profile = getProfileData();
+    lastLookupName = findNameHeadingText();
     if (!profile.linkedinUrl) {
-      showState("error");
-      $("#error-msg").textContent = "Could not detect LinkedIn URL.";
-      setBadge("ERR", "error");
+      showError(null, "Could not detect LinkedIn URL.");
+      refreshBtn.disabled = false;
       return;
     }
 
@@ -314,49 +1195,99 @@
         linkedinUrl: profile.linkedinUrl,
         firstName: profile.firstName,
         lastName: profile.lastName,
+        company: profile.company,
+        location: profile.location,
+        refresh,
+        requestId,
       });
 
+      if (!isCurrentLookup(result, requestId)) return;
+      if (result.linkedinUrl && result.linkedinUrl !== getCleanLinkedInUrl()) {
+        // Same page, but the profile URL read from it changed — e.g. a
+        // Recruiter page rendered its vanity link after the member ID
+        // was used. Look the profile up again under the new URL.
+        doLookup({ refresh });
+        return;
+      }
+
       if (result.error) {
-        showState("error");
-        $("#error-msg").textContent = result.error;
-        setBadge("ERR", "error");
+        showError(result, "Lookup failed.", {
+          retry: (next) => doLookup({ refresh, attempt: next }),
+          attempt,
+        });
         return;
       }
 
       if (result.found) {
-        const c = result.candidate || {};
-        $("#cand-name").textContent = c.name || profile.firstName + " " + profile.lastName;
-        $("#cand-owner").textContent = c.current_owner ? "Owner: " + c.current_owner : "";
-        $("#cand-location").textContent = c.location || "";
-        $("#parker-link").href = c.url || "#";
-
-        // Render timeline
-        const container = $("#timeline-rows");
-        container.innerHTML = "";
-        for (const evt of (c.timeline || [])) {
-          const hasDate = evt.date && evt.date !== "N/A";
-          const row = document.createElement("div");
-          row.className = "timeline-row";
-          row.innerHTML =
-            `<span class="timeline-dot ${hasDate ? "done" : "pending"}"></span>` +
-            `<span class="timeline-label">${evt.label}</span>` +
-            `<span class="timeline-date ${hasDate ? "" : "na"}">${evt.date || "N/A"}</span>`;
-          container.appendChild(row);
-        }
-
-        showState("found");
-        setBadge("IN PARKER", "found");
+        renderFound(result.candidate || {}, profile);
       } else {
-        // Pre-fill name fields
+        // Pre-fill the create form
         $("#field-first").value = profile.firstName;
         $("#field-last").value = profile.lastName;
+        $("#field-headline").value = profile.headline;
+        $("#field-title").value = profile.title;
+        $("#field-company").value = profile.company;
+        $("#field-location").value = profile.location;
+        renderPossibleMatches(result.possibleMatches || []);
+        loadTeamRoster();
         showState("notFound");
         setBadge("NEW", "not-found");
       }
     } catch (err) {
-      showState("error");
-      $("#error-msg").textContent = err.message || "Could not connect to Parker.";
-      setBadge("ERR", "error");
+      if (requestId !== lookupSeq) return;
+      showError({ error: err.message }, "Could not connect to Parker.");
+    } finally {
+      if (requestId === lookupSeq) refreshBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Forget the in-flight lookup and have the background cancel its
+   * Parker requests.
+   */
+  function cancelLookup() {
+    lookupSeq++;
+    chrome.runtime.sendMessage({ type: "CANCEL_LOOKUP" });
+  }
+
+  // ── Owner / sourced-by roster ─────────────────────────────────────────
+
+  function fillUserSelect(select, options, selectedId) {
+    select.innerHTML = "";
+    const blank = document.createElement("option");
+    blank.value = "";
+    blank.textContent = "— Choose —";
+    select.appendChild(blank);
+    for (const option of options) {
+      const el = document.createElement("option");
+      el.value = option.id;
+      el.textContent = option.label;
+      select.appendChild(el);
+    }
+    select.value = selectedId || "";
+  }
+
+  async function loadTeamRoster() {
+    const warning = $("#owner-warning");
+    warning.textContent = "";
+    try {
+      const roster = await chrome.runtime.sendMessage({ type: "GET_TEAM_ROSTER" });
+      if (!roster.ok) {
+        warning.textContent = roster.error || "Could not load Parker's user list.";
+        return;
+      }
+      fillUserSelect($("#field-owner"), roster.owners, roster.currentOwnerId);
+      fillUserSelect(
+        $("#field-sourced-by"),
+        roster.sourcedBy,
+        roster.currentSourcedById || roster.currentOwnerId
+      );
+      if (roster.owners.length && !roster.currentOwnerId) {
+        warning.textContent =
+          `Your Parker email (${roster.email || "not set"}) isn't in Parker's owner list. Choose an owner.`;
+      }
+    } catch (err) {
+      warning.textContent = err.message || "Could not load Parker's user list.";
     }
   }
 
@@ -368,9 +1299,12 @@
     const lastName = $("#field-last").value.trim();
 
     if (!firstName || !lastName) {
-      $("#error-msg").textContent = "First and last name are required.";
-      showState("error");
-      setBadge("ERR", "error");
+      showError(null, "First and last name are required.");
+      return;
+    }
+
+    if ($("#field-owner").options.length > 1 && !$("#field-owner").value) {
+      $("#owner-warning").textContent = "Choose an owner before creating the candidate.";
       return;
     }
 
@@ -386,6 +1320,12 @@
           lastName,
           linkedinUrl: profile.linkedinUrl,
           sourcedDate: new Date().toISOString().split("T")[0],
+          headline: $("#field-headline").value.trim(),
+          title: $("#field-title").value.trim(),
+          company: $("#field-company").value.trim(),
+          location: $("#field-location").value.trim(),
+          ownerId: $("#field-owner").value,
+          sourcedById: $("#field-sourced-by").value,
         },
       });
 
@@ -394,49 +1334,224 @@
         showState("created");
         setBadge("CREATED", "found");
       } else {
-        showState("error");
-        $("#error-msg").textContent = result.error || "Failed to create candidate.";
-        setBadge("ERR", "error");
+        showError(result, "Failed to create candidate.");
       }
     } catch (err) {
-      showState("error");
-      $("#error-msg").textContent = err.message || "Create failed.";
-      setBadge("ERR", "error");
+      showError({ error: err.message }, "Create failed.");
     }
 
     btn.disabled = false;
     btn.textContent = "Create Candidate";
   });
 
-  // ── Retry ─────────────────────────────────────────────────────────────
+  // ── Retry / refresh ───────────────────────────────────────────────────
+
+  $("#btn-retry").addEventListener("click", () => doLookup());
+
+  refreshBtn.addEventListener("click", (e) => {
+    e.stopPropagation(); // don't toggle collapse
+    doLookup({ refresh: true });
+  });
+
+  // ── Keyboard shortcuts ────────────────────────────────────────────────
 
-  $("#btn-retry").addEventListener("click", doLookup);
+  // Where each command's shortcut is mentioned in the sidebar
+  const SHORTCUT_HINTS = [
+    { command: "toggle-sidebar", label: "show / hide", el: () => header, title: "Collapse / expand" },
+    { command: "refresh-lookup", label: "refresh", el: () => refreshBtn, title: "Refresh (skip cache)" },
+    { command: "create-candidate", label: "create", el: () => $("#btn-create"), title: "" },
+    { command: "open-in-parker", label: "open in Parker", el: () => $("#parker-link"), title: "" },
+  ];
 
-  // ── Respond to popup requests ─────────────────────────────────────────
+  /**
+   * Run a keyboard command forwarded by the background worker.
+   */
+  function runCommand(command) {
+    // Without the sidebar only a refresh makes sense; the side panel
+    // picks up its result
+    if (!sidebarEnabled && command !== "refresh-lookup") return;
+    if (command === "toggle-sidebar") {
+      setCollapsed(!collapsed);
+      return;
+    }
+    setCollapsed(false);
+    if (command === "refresh-lookup") {
+      doLookup({ refresh: true });
+    } else if (command === "create-candidate") {
+      // Only from the not-found form, with its pre-filled details
+      const btn = $("#btn-create");
+      if (states.notFound.classList.contains("active") && !btn.disabled) btn.click();
+    }
+    // "open-in-parker" is handled by the background worker when there's
+    // a record; otherwise expanding shows why there isn't one
+  }
 
-  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-    if (msg.type === "GET_PROFILE_DATA") {
+  /**
+   * Show the current shortcuts (users can rebind them at
+   * chrome://extensions/shortcuts) as tooltips and a hint line.
+   */
+  async function loadShortcutHints() {
+    let commands = [];
+    try {
+      ({ commands = [] } = await chrome.runtime.sendMessage({ type: "GET_COMMANDS" }));
+    } catch {
+      return;
+    }
+    const shortcuts = new Map(commands.map((c) => [c.name, c.shortcut]));
+    const line = $("#shortcut-hints");
+    line.innerHTML = "";
+
+    for (const { command, label, el, title } of SHORTCUT_HINTS) {
+      const shortcut = shortcuts.get(command);
+      if (!shortcut) continue;
+      el().title = title ? `${title} (${shortcut})` : shortcut;
+      if (line.childNodes.length) line.append(" · ");
+      const kbd = document.createElement("kbd");
+      kbd.textContent = shortcut;
+      line.append(kbd, ` ${label}`);
+    }
+  }
+
+  loadShortcutHints();
+
+  // ── Respond to popup / side panel requests ────────────────────────────
+
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    // Only answer this extension's own pages (the popup, the background)
+    if (sender.id !== chrome.runtime.id) return;
+    if (msg?.type === "GET_PROFILE_DATA") {
       sendResponse({ data: getProfileData() });
+    } else if (msg?.type === "RUN_COMMAND") {
+      runCommand(msg.command);
+    } else if (msg?.type === "SET_DISPLAY_MODE") {
+      setDisplayMode(msg.displayMode);
     }
   });
 
+  // ── Profile readiness ─────────────────────────────────────────────────
+
+  // Look up anyway after this long — the URL alone is enough for
+  // Parker's URL check, even if the name never rendered
+  const PROFILE_READY_TIMEOUT_MS = 8000;
+  // LinkedIn mutates the DOM in bursts; check at most this often
+  const READY_CHECK_INTERVAL_MS = 100;
+
+  let profileWait = null;
+
+  function hasTopCard() {
+    const type = getPageType();
+    return !!type && EXTRACTORS[type].topCardSelectors.some((sel) => document.querySelector(sel));
+  }
+
+  /**
+   * Wait until the profile's top card and name heading have rendered.
+   * After SPA navigation the previous profile's heading can linger for a
+   * moment, so a name equal to `staleName` doesn't count yet. The
+   * MutationObserver only runs while waiting and is disconnected as soon
+   * as the wait ends. Resolves "ready", "timeout", or "cancelled" if
+   * cancelProfileWait() (or a newer wait) ends it first.
+   */
+  function waitForProfileReady(staleName = "") {
+    cancelProfileWait();
+    return new Promise((resolve) => {
+      let checkTimer = null;
+      const isReady = () => {
+        const name = findNameHeadingText();
+        return hasTopCard() && !!name && name !== staleName;
+      };
+      const finish = (state) => {
+        observer.disconnect();
+        clearTimeout(checkTimer);
+        clearTimeout(timeoutTimer);
+        profileWait = null;
+        resolve(state);
+      };
+      const observer = new MutationObserver(() => {
+        if (checkTimer) return;
+        checkTimer = setTimeout(() => {
+          checkTimer = null;
+          if (isReady()) finish("ready");
+        }, READY_CHECK_INTERVAL_MS);
+      });
+      const timeoutTimer = setTimeout(() => finish("timeout"), PROFILE_READY_TIMEOUT_MS);
+      profileWait = { cancel: () => finish("cancelled") };
+
+      if (isReady()) {
+        finish("ready");
+      } else {
+        observer.observe(document.body, { childList: true, subtree: true });
+      }
+    });
+  }
+
+  function cancelProfileWait() {
+    profileWait?.cancel();
+  }
+
+  async function lookupWhenReady(staleName = "") {
+    const state = await waitForProfileReady(staleName);
+    if (state !== "cancelled") doLookup();
+  }
+
   // ── SPA navigation detection ──────────────────────────────────────────
 
+  // Fallback polling interval where the Navigation API is unavailable
+  const URL_POLL_MS = 1000;
+
+  /**
+   * What identifies the profile on the current page, or "" off profile
+   * pages. /in/ pages use the canonical profile URL, so /details/… and
+   * /overlay/… subpages count as the same profile. Recruiter and Sales
+   * Navigator use the profile ID in the path: their public URL comes from
+   * the page, which may still show the previous profile.
+   */
+  function currentProfileKey() {
+    const type = getPageType();
+    if (!type) return "";
+    if (type === "profile") return canonicalLinkedinUrl(location.href);
+    const m = location.pathname.match(/^\/(?:talent\/(?:.*\/)?profile|sales\/lead)\/[^/,]+/);
+    return m ? m[0] : location.pathname;
+  }
+
   let lastUrl = location.href;
-  const observer = new MutationObserver(() => {
-    if (location.href !== lastUrl) {
-      lastUrl = location.href;
-      if (location.href.match(/linkedin\.com\/in\//)) {
-        // Wait for new profile to render
-        setTimeout(doLookup, 1500);
-      }
+  let lastProfileKey = currentProfileKey();
+
+  function onUrlChange() {
+    if (location.href === lastUrl) return;
+    lastUrl = location.href;
+    // Contact info overlays, /details/… and the like: nothing to redo
+    const profileKey = currentProfileKey();
+    if (profileKey && profileKey === lastProfileKey) return;
+    lastProfileKey = profileKey;
+    clearTimeout(retryTimer);
+    cancelProfileWait();
+    cancelLookup();
+    updateHostDisplay();
+    if (getPageType()) {
+      lookupWhenReady(lastLookupName);
     }
-  });
-  observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  if (window.navigation) {
+    // Fires for the page's pushState / replaceState and back / forward
+    navigation.addEventListener("currententrychange", onUrlChange);
+  } else {
+    // pushState from the page's own world doesn't fire anything a content
+    // script can hear, so poll the URL (cheap) instead
+    window.addEventListener("popstate", onUrlChange);
+    setInterval(onUrlChange, URL_POLL_MS);
+  }
 
   // ── Initial lookup ────────────────────────────────────────────────────
 
-  // Small delay to let the page settle
-  setTimeout(doLookup, 800);
+  try {
+    const { displayMode } = await chrome.runtime.sendMessage({ type: "GET_DISPLAY_MODE" });
+    setDisplayMode(displayMode);
+  } catch {
+    updateHostDisplay();
+  }
+  if (getPageType()) {
+    lookupWhenReady();
+  }
 
 })();
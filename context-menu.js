@@ -0,0 +1,227 @@
+/**
+ * "Look up in Parker" / "Add to Parker" on LinkedIn profile links
+ * anywhere — Gmail, Slack, spreadsheets, GitHub. Results are shown as
+ * notifications with a button for the next step: open the record, or
+ * add a candidate that isn't in Parker yet using the name from the URL
+ * slug.
+ *
+ * Pending notification actions are kept in chrome.storage.session, as
+ * the service worker may have restarted by the time a button is
+ * clicked.
+ */
+
+import { lookupCandidate, createCandidate } from "./parker-client.js";
+import { getCachedLookup, setCachedLookup, invalidateLookup } from "./lookup-cache.js";
+import { canonicalLinkedinUrl, namesFromLinkedinUrl } from "./linkedin-url.js";
+
+const MENU_LOOKUP = "parker-lookup-link";
+const MENU_ADD = "parker-add-link";
+const LINK_PATTERNS = ["*://*.linkedin.com/in/*", "*://*.linkedin.com/mwlite/in/*"];
+const NOTIFICATION_PREFIX = "notification:";
+const ICON = "icons/icon128.png";
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function capitalize(part) {
+  return part.charAt(0).toUpperCase() + part.slice(1);
+}
+
+/**
+ * First / last name from the URL slug, or null if the slug has no
+ * usable name (single word, or an opaque member ID).
+ */
+function namesFromSlug(linkedinUrl) {
+  const parts = namesFromLinkedinUrl(linkedinUrl);
+  if (parts.length < 2) return null;
+  return {
+    firstName: capitalize(parts[0]),
+    lastName: parts.slice(1).map(capitalize).join(" "),
+  };
+}
+
+/**
+ * Show a notification. `action` ({ type: "open", url } or
+ * { type: "create", linkedinUrl }) runs when its button is clicked.
+ */
+async function notify(title, message, action = null) {
+  const buttons = !action ? [] : [
+    { title: action.type === "open" ? "Open in Parker" : "Add to Parker" },
+  ];
+  const id = await chrome.notifications.create({
+    type: "basic",
+    iconUrl: chrome.runtime.getURL(ICON),
+    title,
+    message,
+    buttons,
+    priority: 0,
+  });
+  if (action) {
+    await chrome.storage.session.set({ [NOTIFICATION_PREFIX + id]: action });
+  }
+}
+
+/**
+ * Report an unexpected failure in one of the event handlers, which have
+ * no caller to return an error to.
+ */
+async function notifyFailure(err) {
+  try {
+    await notify("Parker error", err?.message || String(err));
+  } catch {
+    // Notifications unavailable — nothing else can show it
+  }
+}
+
+async function takeAction(notificationId) {
+  const key = NOTIFICATION_PREFIX + notificationId;
+  const stored = await chrome.storage.session.get(key);
+  await chrome.storage.session.remove(key);
+  return stored[key] || null;
+}
+
+async function lookupLink(linkedinUrl) {
+  const cached = await getCachedLookup(linkedinUrl);
+  if (cached) return cached;
+  const result = await lookupCandidate(linkedinUrl);
+  const { timings, ...cacheable } = result;
+  await setCachedLookup(linkedinUrl, cacheable);
+  return result;
+}
+
+async function showLookup(linkedinUrl) {
+  const result = await lookupLink(linkedinUrl);
+  if (result.error) {
+    await notify("Parker lookup failed", result.error);
+  } else if (result.found) {
+    const c = result.candidate || {};
+    await notify(
+      `In Parker: ${c.name || linkedinUrl}`,
+      c.current_owner ? `Owner: ${c.current_owner}` : "Already in Parker.",
+      c.url ? { type: "open", url: c.url } : null
+    );
+  } else {
+    const names = namesFromSlug(linkedinUrl);
+    await notify(
+      "Not in Parker",
+      names
+        ? `${names.firstName} ${names.lastName} isn't in Parker yet.`
+        : `${linkedinUrl} isn't in Parker yet. Open the profile to add it.`,
+      names ? { type: "create", linkedinUrl } : null
+    );
+  }
+}
+
+async function addFromLink(linkedinUrl) {
+  // Don't create a duplicate of a record the lookup can already find
+  const existing = await lookupLink(linkedinUrl);
+  if (existing.error) {
+    // Can't tell whether the record exists — don't risk a duplicate
+    await notify("Parker lookup failed", `${existing.error} Nothing was added.`);
+    return;
+  }
+  if (existing.found) {
+    const c = existing.candidate || {};
+    await notify(
+      `Already in Parker: ${c.name || linkedinUrl}`,
+      c.current_owner ? `Owner: ${c.current_owner}` : "This profile already has a record.",
+      c.url ? { type: "open", url: c.url } : null
+    );
+    return;
+  }
+
+  const names = namesFromSlug(linkedinUrl);
+  if (!names) {
+    await notify(
+      "Can't add from this link",
+      "The link doesn't include the person's name. Open the profile and add them from the sidebar."
+    );
+    return;
+  }
+
+  const result = await createCandidate({ ...names, linkedinUrl });
+  if (result.ok) {
+    await invalidateLookup(linkedinUrl);
+    await notify(
+      `Added to Parker: ${names.firstName} ${names.lastName}`,
+      "Created with you as owner. Check the name in Parker — it came from the link.",
+      result.candidate?.url ? { type: "open", url: result.candidate.url } : null
+    );
+  } else if (result.candidate?.url) {
+    await notify("Already in Parker", result.error, { type: "open", url: result.candidate.url });
+  } else {
+    await notify("Could not add to Parker", result.error || "Parker rejected the candidate.");
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Register the link context menu entries (on install / update).
+ */
+export function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: MENU_LOOKUP,
+      title: "Look up in Parker",
+      contexts: ["link"],
+      targetUrlPatterns: LINK_PATTERNS,
+    });
+    chrome.contextMenus.create({
+      id: MENU_ADD,
+      title: "Add to Parker",
+      contexts: ["link"],
+      targetUrlPatterns: LINK_PATTERNS,
+    });
+  });
+}
+
+/**
+ * chrome.contextMenus.onClicked handler.
+ */
+export async function handleContextMenuClick(info) {
+  if (info.menuItemId !== MENU_LOOKUP && info.menuItemId !== MENU_ADD) return;
+  try {
+    const linkedinUrl = canonicalLinkedinUrl(info.linkUrl);
+    if (!linkedinUrl) {
+      await notify("Not a LinkedIn profile link", info.linkUrl || "");
+      return;
+    }
+    if (info.menuItemId === MENU_LOOKUP) {
+      await showLookup(linkedinUrl);
+    } else {
+      await addFromLink(linkedinUrl);
+    }
+  } catch (err) {
+    await notifyFailure(err);
+  }
+}
+
+/**
+ * chrome.notifications onButtonClicked / onClicked handler. Clicking
+ * the notification itself only opens records; creating a candidate
+ * takes the explicit button.
+ */
+export async function handleNotificationClick(notificationId, { button = false } = {}) {
+  try {
+    const action = await takeAction(notificationId);
+    chrome.notifications.clear(notificationId);
+    if (action?.type === "open") {
+      await chrome.tabs.create({ url: action.url });
+    } else if (action?.type === "create" && button) {
+      await addFromLink(action.linkedinUrl);
+    }
+  } catch (err) {
+    await notifyFailure(err);
+  }
+}
+
+/**
+ * chrome.notifications.onClosed handler — drop the pending action.
+ */
+export async function handleNotificationClosed(notificationId) {
+  try {
+    await takeAction(notificationId);
+  } catch (err) {
+    await notifyFailure(err);
+  }
+}
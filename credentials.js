@@ -0,0 +1,215 @@
+/**
+ * Parker credential storage.
+ *
+ * The Parker password is never written to chrome.storage.sync. One of
+ * three modes is chosen in settings (`credentialMode`):
+ *
+ *   "session"          — no password at all; rely on the browser's own
+ *                        Parker session cookie and open a Parker login
+ *                        tab when it has expired.
+ *   "session-password" — keep the password in chrome.storage.session,
+ *                        which is memory-only and cleared when the
+ *                        browser closes.
+ *   "encrypted"        — keep the password in chrome.storage.local,
+ *                        AES-GCM encrypted with a key derived from a
+ *                        user-chosen passphrase. Unlocking puts the
+ *                        plaintext in chrome.storage.session.
+ *
+ * The email address is not secret and stays in chrome.storage.sync.
+ */
+
+import { ErrorCode, failure } from "./errors.js";
+
+export const CREDENTIAL_MODES = ["session", "session-password", "encrypted"];
+export const DEFAULT_CREDENTIAL_MODE = "session";
+
+const SESSION_PASSWORD_KEY = "parkerPassword";
+const ENCRYPTED_PASSWORD_KEY = "encryptedParkerPassword";
+const MIGRATION_NOTICE_KEY = "credentialMigrationNotice";
+const PBKDF2_ITERATIONS = 250000;
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptPassword(password, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(password)
+  );
+  return {
+    ciphertext: toBase64(ciphertext),
+    iv: toBase64(iv),
+    salt: toBase64(salt),
+  };
+}
+
+async function decryptPassword(blob, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(blob.salt));
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(blob.iv) },
+    key,
+    fromBase64(blob.ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+export async function getCredentialMode() {
+  const { credentialMode } = await chrome.storage.sync.get("credentialMode");
+  return CREDENTIAL_MODES.includes(credentialMode)
+    ? credentialMode
+    : DEFAULT_CREDENTIAL_MODE;
+}
+
+/**
+ * Email + password for an automatic Devise login, or null when the
+ * current mode has no usable password (session mode, or locked).
+ */
+export async function getLoginCredentials() {
+  const mode = await getCredentialMode();
+  if (mode === "session") return null;
+
+  const { parkerEmail } = await chrome.storage.sync.get("parkerEmail");
+  const { [SESSION_PASSWORD_KEY]: password } =
+    await chrome.storage.session.get(SESSION_PASSWORD_KEY);
+  if (!parkerEmail || !password) return null;
+  return { email: parkerEmail, password };
+}
+
+/**
+ * Non-secret summary of the credential state for the settings UI.
+ */
+export async function getCredentialStatus() {
+  const mode = await getCredentialMode();
+  const { [SESSION_PASSWORD_KEY]: password } =
+    await chrome.storage.session.get(SESSION_PASSWORD_KEY);
+  const {
+    [ENCRYPTED_PASSWORD_KEY]: encrypted,
+    [MIGRATION_NOTICE_KEY]: migrationNotice,
+  } = await chrome.storage.local.get([ENCRYPTED_PASSWORD_KEY, MIGRATION_NOTICE_KEY]);
+
+  return {
+    credentialMode: mode,
+    hasPassword: !!password,
+    hasEncryptedPassword: !!encrypted,
+    locked: mode === "encrypted" && !!encrypted && !password,
+    migrationNotice: !!migrationNotice,
+  };
+}
+
+/**
+ * Switch credential mode and (optionally) store a new password for it.
+ * Leftovers from other modes are removed so the password only lives
+ * where the chosen mode says it does.
+ * Returns { ok: true } or { ok: false, error, code }.
+ */
+export async function setCredentials({ mode, password = "", passphrase = "" }) {
+  if (!CREDENTIAL_MODES.includes(mode)) {
+    return failure(ErrorCode.VALIDATION, "Unknown credential mode.");
+  }
+
+  if (mode === "encrypted" && password && !passphrase) {
+    return failure(ErrorCode.VALIDATION, "Choose a passphrase to encrypt your password.");
+  }
+
+  await chrome.storage.sync.set({ credentialMode: mode });
+  await chrome.storage.local.remove(MIGRATION_NOTICE_KEY);
+
+  if (mode === "session") {
+    await chrome.storage.session.remove(SESSION_PASSWORD_KEY);
+    await chrome.storage.local.remove(ENCRYPTED_PASSWORD_KEY);
+    return { ok: true };
+  }
+
+  if (mode === "session-password") {
+    await chrome.storage.local.remove(ENCRYPTED_PASSWORD_KEY);
+    if (password) {
+      await chrome.storage.session.set({ [SESSION_PASSWORD_KEY]: password });
+    }
+    return { ok: true };
+  }
+
+  // encrypted — re-encrypt the given password, or the one already
+  // unlocked this session when only the passphrase changes
+  let plaintext = password;
+  if (!plaintext && passphrase) {
+    const { [SESSION_PASSWORD_KEY]: current } =
+      await chrome.storage.session.get(SESSION_PASSWORD_KEY);
+    plaintext = current || "";
+  }
+  if (plaintext && passphrase) {
+    const blob = await encryptPassword(plaintext, passphrase);
+    await chrome.storage.local.set({ [ENCRYPTED_PASSWORD_KEY]: blob });
+    await chrome.storage.session.set({ [SESSION_PASSWORD_KEY]: plaintext });
+  }
+  return { ok: true };
+}
+
+/**
+ * Decrypt the stored password with the passphrase and keep it in
+ * chrome.storage.session until the browser closes.
+ */
+export async function unlockCredentials(passphrase) {
+  const { [ENCRYPTED_PASSWORD_KEY]: blob } =
+    await chrome.storage.local.get(ENCRYPTED_PASSWORD_KEY);
+  if (!blob) {
+    return failure(ErrorCode.AUTH_REQUIRED, "No encrypted password is stored.");
+  }
+  try {
+    const password = await decryptPassword(blob, passphrase || "");
+    await chrome.storage.session.set({ [SESSION_PASSWORD_KEY]: password });
+    return { ok: true };
+  } catch {
+    return failure(ErrorCode.AUTH_FAILED, "Wrong passphrase.");
+  }
+}
+
+/**
+ * Move a password saved by older versions out of chrome.storage.sync.
+ * It is kept in chrome.storage.session so nothing breaks mid-session,
+ * and a notice asks the user to pick a credential mode in settings.
+ */
+export async function migrateLegacyPassword() {
+  const { parkerPassword, credentialMode } = await chrome.storage.sync.get([
+    "parkerPassword",
+    "credentialMode",
+  ]);
+  if (!parkerPassword) return false;
+
+  await chrome.storage.session.set({ [SESSION_PASSWORD_KEY]: parkerPassword });
+  if (!credentialMode) {
+    await chrome.storage.sync.set({ credentialMode: "session-password" });
+  }
+  await chrome.storage.local.set({ [MIGRATION_NOTICE_KEY]: true });
+  await chrome.storage.sync.remove("parkerPassword");
+  return true;
+}
@@ -0,0 +1,258 @@
+/**
+ * Connection diagnostics.
+ *
+ * Walks through each step parker-client.js depends on — session check,
+ * login, CSRF extraction, the LinkedIn URL check endpoint, the search
+ * table, the candidate page and the owner dropdown — and records
+ * pass / fail with timings, so a broken lookup can be narrowed down to
+ * the part of Parker that changed. Reports can be exported with
+ * personal data redacted.
+ *
+ * The per-strategy timings of the most recent lookup are kept in
+ * chrome.storage.session and included in the report, to show which
+ * search is slow without logging from the service worker.
+ */
+
+import { isLoggedIn, doLogin } from "./parker-client.js";
+import {
+  extractCsrfToken,
+  parseCandidatePage,
+  parseSearchResultRows,
+  findOwnerIdForEmail,
+  parseSelectOptions,
+} from "./html-parser.js";
+import { getCredentialMode, getLoginCredentials } from "./credentials.js";
+import { getParkerBase } from "./parker-instance.js";
+import { queuedFetch } from "./request-queue.js";
+
+// A profile URL that should never exist in Parker
+const PROBE_LINKEDIN_URL = "https://www.linkedin.com/in/parker-extension-diagnostics";
+// Short, common search term that returns rows in any populated instance
+const PROBE_SEARCH_TERM = "an";
+const LAST_LOOKUP_KEY = "lastLookupTimings";
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url;
+  }
+}
+
+async function fetchPage(url, init = {}) {
+  return queuedFetch(url, { credentials: "include", redirect: "follow", ...init });
+}
+
+/**
+ * Run one step, timing it. `fn` returns { ok, detail } or
+ * { skipped: true, detail }; a thrown error counts as a failure.
+ */
+async function runStep(steps, name, label, fn) {
+  const started = performance.now();
+  let outcome;
+  try {
+    outcome = await fn();
+  } catch (err) {
+    outcome = { ok: false, detail: err.message || String(err) };
+  }
+  steps.push({
+    name,
+    label,
+    ok: !!outcome.ok,
+    skipped: !!outcome.skipped,
+    ms: Math.round(performance.now() - started),
+    detail: outcome.detail || "",
+  });
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Run every diagnostic step in order. Later steps reuse pages fetched
+ * by earlier ones, and are skipped when what they need is missing.
+ *
+ * Returns { startedAt, version, parkerBase, credentialMode, email, steps,
+ * lastLookup } where each step is { name, label, ok, skipped, ms, detail }
+ * and lastLookup is { at, timings } from recordLookupTimings, or null.
+ */
+export async function runDiagnostics() {
+  const base = await getParkerBase();
+  const credentialMode = await getCredentialMode();
+  const { parkerEmail } = await chrome.storage.sync.get("parkerEmail");
+  const { [LAST_LOOKUP_KEY]: lastLookup } = await chrome.storage.session.get(LAST_LOOKUP_KEY);
+  const startedAt = new Date().toISOString();
+  const steps = [];
+  const finish = () => ({
+    startedAt,
+    version: chrome.runtime.getManifest().version,
+    parkerBase: base,
+    credentialMode,
+    email: parkerEmail || "",
+    steps,
+    lastLookup: lastLookup || null,
+  });
+  let loggedIn = false;
+  let newFormHtml = "";
+  let sampleRow = null;
+
+  await runStep(steps, "isLoggedIn", "Parker session", async () => {
+    loggedIn = await isLoggedIn();
+    return loggedIn
+      ? { ok: true, detail: "Signed in." }
+      : { ok: false, detail: "No Parker session (root page has no sign-out link)." };
+  });
+
+  await runStep(steps, "doLogin", "Login with stored password", async () => {
+    const credentials = await getLoginCredentials();
+    if (!credentials) {
+      return {
+        skipped: true,
+        detail: credentialMode === "session"
+          ? "Browser-session mode — no password stored."
+          : "No password available (not set, or locked).",
+      };
+    }
+    const result = await doLogin(credentials.email, credentials.password);
+    if (result.ok) loggedIn = true;
+    return { ok: result.ok, detail: result.ok ? result.message : result.error };
+  });
+
+  await runStep(steps, "csrfSignIn", "CSRF token on sign-in page", async () => {
+    const r = await fetchPage(`${base}/users/sign_in`);
+    const token = extractCsrfToken(await r.text());
+    return {
+      ok: r.ok && !!token,
+      detail: `HTTP ${r.status} at ${pathOf(r.url)}; token ${token ? "found" : "missing"}.`,
+    };
+  });
+
+  if (!loggedIn) {
+    for (const [name, label] of [
+      ["csrfNewCandidate", "CSRF token on /candidates/new"],
+      ["linkedinUrlCheck", "LinkedIn URL check endpoint"],
+      ["search", "Candidate search table"],
+      ["parseCandidatePage", "Candidate page parsing"],
+      ["findOwnerIdForEmail", "Owner dropdown"],
+    ]) {
+      await runStep(steps, name, label, async () => ({
+        skipped: true,
+        detail: "Skipped — not signed in to Parker.",
+      }));
+    }
+    return finish();
+  }
+
+  await runStep(steps, "csrfNewCandidate", "CSRF token on /candidates/new", async () => {
+    const r = await fetchPage(`${base}/candidates/new`);
+    newFormHtml = await r.text();
+    const token = extractCsrfToken(newFormHtml);
+    return {
+      ok: r.ok && !!token,
+      detail: `HTTP ${r.status} at ${pathOf(r.url)}; token ${token ? "found" : "missing"}.`,
+    };
+  });
+
+  await runStep(steps, "linkedinUrlCheck", "LinkedIn URL check endpoint", async () => {
+    const page = await fetchPage(`${base}/candidates/linkedin_url_check`);
+    if (!page.ok) {
+      return { ok: false, detail: `Check page returned HTTP ${page.status}.` };
+    }
+    const token = extractCsrfToken(await page.text());
+    if (!token) {
+      return { ok: false, detail: "No CSRF token on the check page." };
+    }
+    const r = await fetchPage(`${base}/candidates/check_linkedin_url`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        authenticity_token: token,
+        linkedin_url: PROBE_LINKEDIN_URL,
+      }).toString(),
+    });
+    return {
+      ok: r.ok,
+      detail: `POST returned HTTP ${r.status}, ended at ${pathOf(r.url)}.`,
+    };
+  });
+
+  await runStep(steps, "search", "Candidate search table", async () => {
+    const params = new URLSearchParams({
+      "q[first_name_or_last_name_cont]": PROBE_SEARCH_TERM,
+      commit: "Search",
+    });
+    const r = await fetchPage(`${base}/candidates?${params}`);
+    const rows = parseSearchResultRows(await r.text());
+    sampleRow = rows[0] || null;
+    return {
+      ok: r.ok && rows.length > 0,
+      detail: rows.length
+        ? `HTTP ${r.status}; parsed ${rows.length} result rows.`
+        : `HTTP ${r.status}; no result rows parsed — the search markup may have changed.`,
+    };
+  });
+
+  await runStep(steps, "parseCandidatePage", "Candidate page parsing", async () => {
+    if (!sampleRow) {
+      return { skipped: true, detail: "Skipped — no search result to open." };
+    }
+    const r = await fetchPage(`${base}${sampleRow.path}`);
+    const candidate = parseCandidatePage(await r.text(), r.url);
+    const parsed = ["name", "current_owner", "linkedin_url", "location"]
+      .filter((field) => candidate[field]);
+    return {
+      ok: r.ok && !!candidate.id && !!candidate.name,
+      detail: `HTTP ${r.status}; parsed ${parsed.join(", ") || "nothing"}` +
+        `, ${(candidate.submissions || []).length} submissions.`,
+    };
+  });
+
+  await runStep(steps, "findOwnerIdForEmail", "Owner dropdown", async () => {
+    const owners = parseSelectOptions(newFormHtml, "candidate[candidate_owner_id]");
+    if (!owners.length) {
+      return { ok: false, detail: "No owner dropdown options on /candidates/new." };
+    }
+    if (!parkerEmail) {
+      return { ok: false, detail: `${owners.length} owners listed; no Parker email configured.` };
+    }
+    const ownerId = findOwnerIdForEmail(newFormHtml, parkerEmail);
+    return {
+      ok: !!ownerId,
+      detail: ownerId
+        ? `${owners.length} owners listed; your email matched.`
+        : `${owners.length} owners listed; your email isn't one of them.`,
+    };
+  });
+
+  return finish();
+}
+
+/**
+ * Remember the strategy timings of the latest lookup
+ * ([{ strategy, outcome, ms }]). The profile URL isn't stored.
+ */
+export async function recordLookupTimings(timings) {
+  await chrome.storage.session.set({
+    [LAST_LOOKUP_KEY]: { at: new Date().toISOString(), timings },
+  });
+}
+
+/**
+ * Copy of a diagnostics report safe to share: the email address and
+ * candidate IDs are replaced with placeholders.
+ */
+export function redactReport(report) {
+  const email = report.email || "";
+  const scrub = (text) => {
+    let out = String(text).replace(/\/candidates\/\d+/g, "/candidates/:id");
+    if (email) out = out.split(email).join("[email]");
+    return out;
+  };
+  return {
+    ...report,
+    email: email ? "[email]" : "",
+    userAgent: navigator.userAgent,
+    steps: report.steps.map((step) => ({ ...step, detail: scrub(step.detail) })),
+  };
+}
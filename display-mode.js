@@ -0,0 +1,50 @@
+/**
+ * Where lookup results are shown: the sidebar injected into LinkedIn
+ * pages, Chrome's side panel, or both.
+ *
+ * The side panel is the popup page in side panel mode (SIDE_PANEL_PATH)
+ * and follows the active tab. While it's enabled, the toolbar icon opens
+ * the side panel instead of the popup. The sidebar's content script
+ * keeps running in side-panel-only mode — it still detects the profile
+ * and runs the lookup the panel shows — but stays hidden.
+ */
+
+export const DisplayMode = Object.freeze({
+  SIDEBAR: "sidebar",
+  SIDE_PANEL: "sidepanel",
+  BOTH: "both",
+});
+
+export const DEFAULT_DISPLAY_MODE = DisplayMode.SIDEBAR;
+
+// manifest.json names the plain page, which must exist as a file; the
+// query string is added here
+const SIDE_PANEL_PATH = "popup.html?mode=sidepanel";
+
+export function isDisplayMode(value) {
+  return Object.values(DisplayMode).includes(value);
+}
+
+export function showsSidePanel(mode) {
+  return mode !== DisplayMode.SIDEBAR;
+}
+
+/**
+ * The display mode setting from chrome.storage.sync.
+ */
+export async function getDisplayMode() {
+  const { displayMode } = await chrome.storage.sync.get("displayMode");
+  return isDisplayMode(displayMode) ? displayMode : DEFAULT_DISPLAY_MODE;
+}
+
+/**
+ * Enable or disable the side panel and point the toolbar icon at it or
+ * at the popup.
+ */
+export async function applyDisplayMode(mode) {
+  const panel = showsSidePanel(mode);
+  await chrome.sidePanel.setOptions({ path: SIDE_PANEL_PATH, enabled: panel });
+  await chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: panel });
+  // A popup takes precedence over openPanelOnActionClick
+  await chrome.action.setPopup({ popup: panel ? "" : "popup.html" });
+}
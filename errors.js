@@ -0,0 +1,120 @@
+/**
+ * Error model shared by the Parker client and the background router.
+ *
+ * Failures cross chrome.runtime messaging as plain objects:
+ *   { ok: false, error, code, ...details }
+ * `error` is a sentence for the user; `code` (one of ErrorCode) tells the
+ * sidebar and popup which recovery action to offer. Inside the client,
+ * ParkerError carries a code through thrown exceptions until an
+ * operation's catch block turns it into a result with fromException().
+ */
+
+export const ErrorCode = Object.freeze({
+  // No Parker session, and no stored password to log in with
+  AUTH_REQUIRED: "AUTH_REQUIRED",
+  // Parker rejected the stored email / password
+  AUTH_FAILED: "AUTH_FAILED",
+  // A page that should carry an authenticity_token didn't
+  CSRF_MISSING: "CSRF_MISSING",
+  // fetch() itself failed — offline, DNS, VPN, blocked
+  NETWORK: "NETWORK",
+  // Parker answered with a 5xx
+  HTTP_5XX: "HTTP_5XX",
+  // Parker answered 429 Too Many Requests, even after backing off
+  RATE_LIMITED: "RATE_LIMITED",
+  // Expected markup (form, table, record) wasn't found in Parker's HTML
+  PARSE_FAILED: "PARSE_FAILED",
+  // Bad input, or Parker rejected a form submission
+  VALIDATION: "VALIDATION",
+  // The candidate already exists in Parker
+  DUPLICATE: "DUPLICATE",
+  // A newer request superseded this one (see background.js)
+  CANCELLED: "CANCELLED",
+  // Background router rejections (see messages.js)
+  UNAUTHORIZED_SENDER: "UNAUTHORIZED_SENDER",
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  UNKNOWN_MESSAGE_TYPE: "UNKNOWN_MESSAGE_TYPE",
+  UNKNOWN: "UNKNOWN",
+});
+
+/**
+ * Error thrown inside the client with a machine-readable code.
+ * `details` is merged into the failure result (e.g. { status }).
+ */
+export class ParkerError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ParkerError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Build a failure result.
+ */
+export function failure(code, message, details = {}) {
+  return { ok: false, error: message, code, ...details };
+}
+
+/**
+ * ParkerError for a non-OK Parker response. `action` describes what was
+ * being done for the message, e.g. "loading the create form".
+ */
+export function httpError(status, action) {
+  if (status >= 500) {
+    return new ParkerError(
+      ErrorCode.HTTP_5XX,
+      `Parker had a server error ${action} (HTTP ${status}). Try again shortly.`,
+      { status }
+    );
+  }
+  if (status === 429) {
+    return new ParkerError(
+      ErrorCode.RATE_LIMITED,
+      `Parker is rate-limiting requests while ${action} (HTTP 429). Try again in a minute.`,
+      { status }
+    );
+  }
+  if (status === 401 || status === 403) {
+    return new ParkerError(
+      ErrorCode.AUTH_REQUIRED,
+      `Parker refused access ${action} (HTTP ${status}).`,
+      { status }
+    );
+  }
+  if (status === 422) {
+    return new ParkerError(
+      ErrorCode.VALIDATION,
+      `Parker rejected the request ${action} (HTTP 422).`,
+      { status }
+    );
+  }
+  return new ParkerError(ErrorCode.UNKNOWN, `Error ${action} (HTTP ${status}).`, { status });
+}
+
+/**
+ * Failure result for a non-OK Parker response (see httpError).
+ */
+export function httpFailure(status, action) {
+  return fromException(httpError(status, action));
+}
+
+/**
+ * Turn anything caught in a client operation into a failure result.
+ */
+export function fromException(err, fallbackMessage) {
+  if (err instanceof ParkerError) {
+    return failure(err.code, err.message, err.details);
+  }
+  return failure(ErrorCode.UNKNOWN, err?.message || fallbackMessage);
+}
+
+/**
+ * Whether a form error message from Parker means the record exists.
+ */
+export function isDuplicateMessage(message) {
+  return /already (been )?taken|already exists|duplicate/i.test(message || "");
+}
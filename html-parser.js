@@ -6,6 +6,8 @@
  * in Parker's Rails-rendered pages.
  */
 
+import { canonicalLinkedinUrl } from "./linkedin-url.js";
+
 /**
  * Extract Rails CSRF authenticity_token from page HTML.
  * Checks <meta name="csrf-token"> and <input name="authenticity_token">.
@@ -39,30 +41,12 @@ function decodeHtmlEntities(str) {
 }
 
 /**
- * Normalize a LinkedIn URL for comparison.
- * Lowercases, strips www, ensures https, removes trailing slash.
+ * Normalize a LinkedIn URL for comparison. Profile URLs are
+ * canonicalized (see linkedin-url.js); anything else Parker may have
+ * stored is just lowercased and stripped of trailing slashes.
  */
 export function normalizeLinkedinUrl(url) {
-  url = url.toLowerCase().trim();
-  url = url.replace("https://www.linkedin.com", "https://linkedin.com");
-  url = url.replace("http://www.linkedin.com", "https://linkedin.com");
-  url = url.replace("http://linkedin.com", "https://linkedin.com");
-  return url.replace(/\/+$/, "");
-}
-
-/**
- * Extract searchable name parts from a LinkedIn URL slug.
- * e.g. '/in/kaidi-cao-398131117' -> ['kaidi', 'cao']
- */
-export function namesFromLinkedinUrl(url) {
-  const m = url.match(/\/in\/([^/?]+)/);
-  if (!m) return [];
-  let slug = m[1];
-  // Remove trailing LinkedIn ID suffixes — purely numeric or alphanumeric
-  // e.g. '-398131117' or '-b166a9171'
-  slug = slug.replace(/-[a-z]?\d{5,}\d*$/i, "");
-  // Split on hyphens, keep parts longer than 1 char
-  return slug.split("-").filter((p) => p && p.length > 1);
+  return canonicalLinkedinUrl(url) || String(url || "").toLowerCase().trim().replace(/\/+$/, "");
 }
 
 /**
@@ -143,6 +127,9 @@ export function parseCandidatePage(html, finalUrl) {
   // Submissions table — find <table>, skip header row, extract cells
   data.submissions = parseSubmissionsTable(html);
 
+  // Most recent notes / comments
+  data.notes = parseCandidateNotes(html);
+
   return data;
 }
 
@@ -185,15 +172,17 @@ function parseSubmissionsTable(html) {
 }
 
 /**
- * Scan search results HTML for a row whose LinkedIn URL matches the target.
- * Returns the relative candidate path (e.g. '/candidates/12345') or null.
+ * Parse the rows of a Parker candidate search results table.
+ * Returns [{ path, name, linkedin_url, cells }] where path is the
+ * relative candidate link (e.g. '/candidates/12345') and cells holds
+ * the plain text of every column.
  */
-export function findLinkedInMatchInSearchResults(html, targetLinkedinUrl) {
-  const normalizedTarget = normalizeLinkedinUrl(targetLinkedinUrl);
+export function parseSearchResultRows(html) {
+  const rows = [];
 
   // Find the table in the search results
   const tableMatch = html.match(/<table[\s\S]*?>([\s\S]*?)<\/table>/i);
-  if (!tableMatch) return null;
+  if (!tableMatch) return rows;
 
   const tableHtml = tableMatch[1];
   const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
@@ -206,38 +195,274 @@ export function findLinkedInMatchInSearchResults(html, targetLinkedinUrl) {
     }
     const rowHtml = rowMatch[1];
 
-    // Check for LinkedIn URL in this row
+    const candMatch = rowHtml.match(/<a[^>]*href="(\/candidates\/\d+)"[^>]*>([\s\S]*?)<\/a>/);
+    if (!candMatch) continue;
+
     const liMatch = rowHtml.match(/href="([^"]*linkedin\.com\/in\/[^"]+)"/i);
-    if (!liMatch) continue;
 
-    if (normalizeLinkedinUrl(liMatch[1]) === normalizedTarget) {
-      // Found a match — extract the candidate page link
-      const candMatch = rowHtml.match(/href="(\/candidates\/\d+)"/);
-      if (candMatch) return candMatch[1];
+    const cells = [];
+    const cellPattern = /<td[^>]*>([\s\S]*?)<\/td>/gi;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowHtml)) !== null) {
+      cells.push(cellMatch[1].replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim());
+    }
+
+    rows.push({
+      path: candMatch[1],
+      name: candMatch[2].replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim(),
+      linkedin_url: liMatch ? decodeHtmlEntities(liMatch[1]) : "",
+      cells,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Strip tags and collapse whitespace.
+ */
+function stripTags(html) {
+  return decodeHtmlEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Inner HTML of the element whose opening `<tag ...>` ends at
+ * `contentStart`, found by counting nested elements of the same tag
+ * (a lazy `[\s\S]*?</tag>` stops at the first nested close). Returns
+ * { inner, end } with `end` just past the closing tag; an unclosed
+ * element runs to the end of the document.
+ */
+function elementContent(html, tag, contentStart) {
+  const tagPattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, "gi");
+  tagPattern.lastIndex = contentStart;
+  let depth = 1;
+  let m;
+  while ((m = tagPattern.exec(html)) !== null) {
+    depth += m[1] ? -1 : 1;
+    if (depth === 0) {
+      return { inner: html.slice(contentStart, m.index), end: tagPattern.lastIndex };
+    }
+  }
+  return { inner: html.slice(contentStart), end: html.length };
+}
+
+/**
+ * Inner HTML of the first element in `html` whose class matches
+ * `classPattern`, or null.
+ */
+function childByClass(html, classPattern) {
+  const open = new RegExp(
+    `<([a-z][a-z0-9]*)\\b[^>]*class="[^"]*(?:${classPattern})[^"]*"[^>]*>`,
+    "i"
+  ).exec(html);
+  if (!open) return null;
+  return elementContent(html, open[1], open.index + open[0].length).inner;
+}
+
+/**
+ * Parse the notes (comments) listed on a candidate detail page.
+ * Parker renders each note as an element whose class includes "note" or
+ * "comment", with optional author / timestamp children, newest first.
+ * Elements are matched depth-aware, so nested children don't cut a note
+ * short. Returns the first `limit` notes as [{ author, date, body }].
+ *
+ *   <div class="note"><div class="note-author">Bob</div>
+ *     <div class="note-body">Strong Rust</div></div>
+ *   → { author: "Bob", date: "", body: "Strong Rust" }
+ */
+export function parseCandidateNotes(html, limit = 5) {
+  const notes = [];
+  const notePattern =
+    /<(div|li|article)\b[^>]*class="(?:[^"]*\s)?(?:note|comment)(?:\s[^"]*)?"[^>]*>/gi;
+  let m;
+  while ((m = notePattern.exec(html)) !== null && notes.length < limit) {
+    const { inner, end } = elementContent(html, m[1], notePattern.lastIndex);
+    notePattern.lastIndex = end;
+
+    const authorHtml = childByClass(inner, "author|user|created-by");
+    const timeMatch = inner.match(/<time[^>]*>([\s\S]*?)<\/time>/i);
+    const dateHtml = timeMatch ? timeMatch[1] : childByClass(inner, "date|timestamp|created-at");
+    const bodyHtml = childByClass(inner, "body|content|text");
+
+    const author = authorHtml !== null ? stripTags(authorHtml) : "";
+    const date = dateHtml !== null ? stripTags(dateHtml) : "";
+    let body = bodyHtml !== null ? stripTags(bodyHtml) : stripTags(inner);
+    if (bodyHtml === null) {
+      // No dedicated body element — drop the author/date text we already have
+      for (const part of [author, date]) {
+        if (part) body = body.replace(part, "").trim();
+      }
     }
+    if (body) notes.push({ author, date, body });
+  }
+  return notes;
+}
+
+/**
+ * Find the "add note" form on a candidate page.
+ * Returns { action, fieldName, values } — the form action, the name of
+ * its text area (e.g. 'note[body]') and the form's other current values
+ * (hidden notable_id / type, CSRF token) — or null if there isn't one.
+ */
+export function findNoteForm(html) {
+  const form = findForm(html, /\/(?:notes|comments)\/?$/);
+  if (!form) return null;
+  const textareaMatch = form.html.match(/<textarea\b[^>]*\bname="([^"]+)"/i);
+  if (!textareaMatch) return null;
+  return {
+    action: form.action,
+    fieldName: decodeHtmlEntities(textareaMatch[1]),
+    values: parseFormValues(form.html),
+  };
+}
+
+/**
+ * Scan search results HTML for a row whose LinkedIn URL matches the target.
+ * Returns the relative candidate path (e.g. '/candidates/12345') or null.
+ */
+export function findLinkedInMatchInSearchResults(html, targetLinkedinUrl) {
+  const normalizedTarget = normalizeLinkedinUrl(targetLinkedinUrl);
+  const match = parseSearchResultRows(html).find(
+    (row) => row.linkedin_url && normalizeLinkedinUrl(row.linkedin_url) === normalizedTarget
+  );
+  return match ? match.path : null;
+}
+
+/**
+ * Find the "next page" link on a paginated Parker index page. Handles
+ * rel="next" links and Kaminari, will_paginate and Pagy markup.
+ * Returns the link's href as written (usually relative), or null on
+ * the last page.
+ */
+export function findNextPageUrl(html) {
+  const patterns = [
+    /<a\b[^>]*\brel="[^"]*\bnext\b[^"]*"[^>]*>/i,
+    /<a\b[^>]*\bclass="[^"]*\bnext_page\b[^"]*"[^>]*>/i,                  // will_paginate
+    /<(?:span|li)\b[^>]*\bclass="[^"]*\bnext\b[^"]*"[^>]*>\s*<a\b[^>]*>/i, // Kaminari
+    /<a\b[^>]*\baria-label="next"[^>]*>/i,                                 // Pagy
+  ];
+  for (const pattern of patterns) {
+    const tag = html.match(pattern);
+    const href = tag && tag[0].match(/<a\b[^>]*\bhref="([^"#][^"]*)"/i);
+    if (href) return decodeHtmlEntities(href[1]);
   }
   return null;
 }
 
 /**
- * Find the owner ID in the create-candidate form's dropdown
- * that matches the given email address.
+ * Collect the name attributes of every input, select and textarea in
+ * a page's forms. Used to check which candidate[...] fields Parker's
+ * form actually accepts before including them in a submission.
  */
-export function findOwnerIdForEmail(html, email) {
-  if (!email) return "";
+export function extractFormFieldNames(html) {
+  const names = new Set();
+  const fieldPattern = /<(?:input|select|textarea)\b[^>]*\bname="([^"]+)"/gi;
+  let m;
+  while ((m = fieldPattern.exec(html)) !== null) {
+    names.add(decodeHtmlEntities(m[1]));
+  }
+  return names;
+}
 
-  // Extract the owner <select> element
+/**
+ * Find the <form> whose action matches the given pattern and return its
+ * action URL and inner HTML, or null if there is no such form.
+ */
+export function findForm(html, actionPattern) {
+  const formPattern = /<form\b([^>]*)>([\s\S]*?)<\/form>/gi;
+  let m;
+  while ((m = formPattern.exec(html)) !== null) {
+    const actionMatch = m[1].match(/\baction="([^"]*)"/i);
+    const action = actionMatch ? decodeHtmlEntities(actionMatch[1]) : "";
+    if (actionPattern.test(action)) {
+      return { action, html: m[2] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract the current values of a form's fields, keyed by name.
+ * Covers text-like inputs, checked checkboxes/radios, the selected
+ * option of each <select> and <textarea> contents.
+ */
+export function parseFormValues(formHtml) {
+  const values = {};
+  const attr = (tag, name) => {
+    const m = tag.match(new RegExp(`\\b${name}="([^"]*)"`, "i"));
+    return m ? decodeHtmlEntities(m[1]) : null;
+  };
+
+  const inputPattern = /<input\b[^>]*>/gi;
+  let m;
+  while ((m = inputPattern.exec(formHtml)) !== null) {
+    const tag = m[0];
+    const name = attr(tag, "name");
+    if (!name) continue;
+    const type = (attr(tag, "type") || "text").toLowerCase();
+    if (type === "submit" || type === "button" || type === "file") continue;
+    if ((type === "checkbox" || type === "radio") && !/\bchecked\b/i.test(tag)) continue;
+    values[name] = attr(tag, "value") || "";
+  }
+
+  const selectPattern = /<select\b([^>]*)>([\s\S]*?)<\/select>/gi;
+  while ((m = selectPattern.exec(formHtml)) !== null) {
+    const name = attr(m[1], "name");
+    if (!name) continue;
+    const selected = m[2].match(/<option\b[^>]*\bselected\b[^>]*>/i);
+    values[name] = selected ? attr(selected[0], "value") || "" : "";
+  }
+
+  const textareaPattern = /<textarea\b([^>]*)>([\s\S]*?)<\/textarea>/gi;
+  while ((m = textareaPattern.exec(formHtml)) !== null) {
+    const name = attr(m[1], "name");
+    if (name) values[name] = decodeHtmlEntities(m[2].replace(/^\n/, ""));
+  }
+
+  return values;
+}
+
+/**
+ * Pull a human-readable validation error out of a re-rendered Rails form.
+ * Parker wraps errors in nested HTML (e.g. <div class="alert"><ul><li>...</li></ul></div>)
+ * so we grab the whole error block and strip tags. Returns "" if none.
+ */
+export function extractFormError(html) {
+  const errorBlockMatch = html.match(
+    /class="[^"]*(?:error|alert)[^"]*"[^>]*>([\s\S]*?)<\/div>/i
+  );
+  if (!errorBlockMatch) return "";
+  return errorBlockMatch[1].replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * List the options of a <select> by name, e.g. the owner or sourced-by
+ * dropdown of the create-candidate form. Blank placeholder options are
+ * skipped. Returns [{ id, label }].
+ */
+export function parseSelectOptions(html, selectName) {
+  const escaped = selectName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   const selectMatch = html.match(
-    /<select[^>]*name="candidate\[candidate_owner_id\]"[^>]*>([\s\S]*?)<\/select>/i
+    new RegExp(`<select[^>]*name="${escaped}"[^>]*>([\\s\\S]*?)<\\/select>`, "i")
   );
-  if (!selectMatch) return "";
+  if (!selectMatch) return [];
 
+  const options = [];
   const optionPattern = /<option[^>]*value="(\d+)"[^>]*>([^<]*)<\/option>/gi;
   let m;
   while ((m = optionPattern.exec(selectMatch[1])) !== null) {
-    if (m[2].trim().toLowerCase() === email.toLowerCase()) {
-      return m[1];
-    }
+    options.push({ id: m[1], label: decodeHtmlEntities(m[2].trim()) });
   }
-  return "";
+  return options;
+}
+
+/**
+ * Find the owner ID in the create-candidate form's dropdown
+ * that matches the given email address.
+ */
+export function findOwnerIdForEmail(html, email) {
+  if (!email) return "";
+  const match = parseSelectOptions(html, "candidate[candidate_owner_id]").find(
+    (option) => option.label.toLowerCase() === email.toLowerCase()
+  );
+  return match ? match.id : "";
 }
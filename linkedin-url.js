@@ -0,0 +1,107 @@
+/**
+ * LinkedIn profile URL canonicalization, shared by the service worker,
+ * the popup and the content scripts (which load it with a dynamic
+ * import — see web_accessible_resources in manifest.json).
+ *
+ * Every variant of a profile URL reduces to one canonical form,
+ * https://www.linkedin.com/in/<slug>, so a Parker record stored with any
+ * of them matches the profile being viewed:
+ *
+ *   https://www.linkedin.com/in/Jane-Doe/             → …/in/jane-doe
+ *   http://uk.linkedin.com/in/jane-doe?trk=abc#about  → …/in/jane-doe
+ *   linkedin.com/in/jane-doe/details/experience/      → …/in/jane-doe
+ *   https://m.linkedin.com/in/jane-doe                → …/in/jane-doe
+ *   https://www.linkedin.com/mwlite/in/jane-doe       → …/in/jane-doe
+ *   /in/jane-doe (relative link on a LinkedIn page)   → …/in/jane-doe
+ *   https://www.linkedin.com/in/J%C3%B6rg-M%C3%BCller → …/in/j%C3%B6rg-m%C3%BCller
+ *   https://www.linkedin.com/in/jörg-müller           → …/in/j%C3%B6rg-m%C3%BCller
+ *   https://www.linkedin.com/in/ACwAAAbCdEf…          → …/in/ACwAAAbCdEf… (case kept)
+ *   https://www.linkedin.com/company/acme             → "" (not a profile)
+ *
+ * Vanity slugs are case-insensitive and compared lowercased and
+ * percent-decoded. Opaque member IDs (ACwAA… / ACoAA…, as used by
+ * Recruiter and Sales Navigator) are case-sensitive, so they keep their
+ * case — and can't be matched against a vanity URL, which is why the
+ * content script prefers a vanity link whenever the page has one.
+ */
+
+// www, mobile and country subdomains (uk., de., …) all serve profiles
+const PROFILE_HOST = /^(?:(?:www|m|touch|mobile|[a-z]{2})\.)?linkedin\.com$/i;
+// /in/<slug>, optionally under the LinkedIn Lite prefix, plus any subpath
+const PROFILE_PATH = /^\/(?:mwlite\/)?in\/([^/]+)/i;
+const MEMBER_ID = /^AC[a-zA-Z]AA[\w-]{10,}$/;
+
+/**
+ * Whether a slug is an opaque, case-sensitive member ID rather than a
+ * vanity name.
+ */
+export function isMemberIdSlug(slug) {
+  return MEMBER_ID.test(slug || "");
+}
+
+/**
+ * The profile slug of a LinkedIn profile URL: percent-decoded, Unicode
+ * NFC, lowercased unless it's a member ID. Accepts absolute URLs, URLs
+ * without a scheme and paths relative to linkedin.com. Returns "" for
+ * anything that isn't a profile URL.
+ */
+export function linkedinProfileSlug(input) {
+  let value = String(input || "").trim();
+  if (!value) return "";
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(value) && !value.startsWith("/")) {
+    value = `https://${value}`;
+  }
+
+  let url;
+  try {
+    url = new URL(value, "https://www.linkedin.com");
+  } catch {
+    return "";
+  }
+  if (!/^https?:$/.test(url.protocol) || !PROFILE_HOST.test(url.hostname)) return "";
+
+  const m = url.pathname.match(PROFILE_PATH);
+  if (!m) return "";
+  let slug = m[1];
+  try {
+    slug = decodeURIComponent(slug);
+  } catch {
+    // Malformed escape — compare it as written
+  }
+  slug = slug.normalize("NFC").trim();
+  if (!slug) return "";
+  return isMemberIdSlug(slug) ? slug : slug.toLowerCase();
+}
+
+/**
+ * Canonical https://www.linkedin.com/in/<slug> form of a profile URL,
+ * or "" if it isn't one. Two URLs for the same profile canonicalize to
+ * the same string, so the result doubles as a comparison key.
+ */
+export function canonicalLinkedinUrl(input) {
+  const slug = linkedinProfileSlug(input);
+  return slug ? `https://www.linkedin.com/in/${encodeURIComponent(slug)}` : "";
+}
+
+/**
+ * Extract searchable name parts from a LinkedIn URL slug.
+ * e.g. '/in/kaidi-cao-398131117' -> ['kaidi', 'cao']
+ * Opaque member IDs (ACwAA…) carry no name and give [].
+ */
+export function namesFromLinkedinUrl(url) {
+  let slug = linkedinProfileSlug(url);
+  if (!slug || isMemberIdSlug(slug)) return [];
+  // Remove trailing LinkedIn ID suffixes — purely numeric or alphanumeric
+  // with at least three digits, e.g. '-398131117' or '-b166a9171'
+  slug = slug.replace(/-(?=(?:[a-z]*\d){3})[a-z0-9]{5,}$/i, "");
+  // Split on hyphens, keep parts longer than 1 char
+  return slug.split("-").filter((p) => p && p.length > 1);
+}
+
+/**
+ * Whether two URLs point at the same LinkedIn profile.
+ */
+export function sameLinkedinProfile(a, b) {
+  const canonical = canonicalLinkedinUrl(a);
+  return !!canonical && canonical === canonicalLinkedinUrl(b);
+}
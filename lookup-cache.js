@@ -0,0 +1,114 @@
+/**
+ * Persistent lookup cache for Parker candidate lookups.
+ *
+ * Lookup results are stored in chrome.storage.local keyed by the
+ * normalized LinkedIn URL, so revisiting a profile skips the full
+ * round trip to Parker. Found and not-found results expire after
+ * separate TTLs, configurable in the extension settings.
+ */
+
+import { normalizeLinkedinUrl } from "./html-parser.js";
+import {
+  DEFAULT_CACHE_TTL_FOUND_MINUTES,
+  DEFAULT_CACHE_TTL_NOT_FOUND_MINUTES,
+} from "./settings-defaults.js";
+
+const CACHE_KEY_PREFIX = "lookup:";
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function cacheKey(linkedinUrl) {
+  return CACHE_KEY_PREFIX + normalizeLinkedinUrl(linkedinUrl);
+}
+
+/**
+ * Read the configured TTLs (in milliseconds) from settings.
+ * A TTL of 0 disables caching for that kind of result.
+ */
+async function getTtls() {
+  const { cacheTtlFoundMinutes, cacheTtlNotFoundMinutes } =
+    await chrome.storage.sync.get([
+      "cacheTtlFoundMinutes",
+      "cacheTtlNotFoundMinutes",
+    ]);
+  const found = Number.isFinite(cacheTtlFoundMinutes)
+    ? cacheTtlFoundMinutes
+    : DEFAULT_CACHE_TTL_FOUND_MINUTES;
+  const notFound = Number.isFinite(cacheTtlNotFoundMinutes)
+    ? cacheTtlNotFoundMinutes
+    : DEFAULT_CACHE_TTL_NOT_FOUND_MINUTES;
+  return { found: found * 60 * 1000, notFound: notFound * 60 * 1000 };
+}
+
+function ttlFor(result, ttls) {
+  return result.found ? ttls.found : ttls.notFound;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Return the cached lookup result for a LinkedIn URL, or null if there
+ * is no entry or it has expired. Expired entries are removed.
+ * The TTL is evaluated at read time so settings changes apply immediately.
+ */
+export async function getCachedLookup(linkedinUrl) {
+  const key = cacheKey(linkedinUrl);
+  const { [key]: entry } = await chrome.storage.local.get(key);
+  if (!entry || !entry.result) return null;
+
+  const ttls = await getTtls();
+  if (Date.now() - entry.cachedAt >= ttlFor(entry.result, ttls)) {
+    await chrome.storage.local.remove(key);
+    return null;
+  }
+  return { ...entry.result, cached: true, cachedAt: entry.cachedAt };
+}
+
+/**
+ * Store a lookup result. Errors are never cached.
+ */
+export async function setCachedLookup(linkedinUrl, result) {
+  if (!result || result.error) return;
+
+  const ttls = await getTtls();
+  if (ttlFor(result, ttls) <= 0) return;
+
+  await chrome.storage.local.set({
+    [cacheKey(linkedinUrl)]: { result, cachedAt: Date.now() },
+  });
+}
+
+/**
+ * Drop the cached result for a LinkedIn URL (e.g. after creating the
+ * candidate, when a cached "not found" would be stale).
+ */
+export async function invalidateLookup(linkedinUrl) {
+  if (!linkedinUrl) return;
+  await chrome.storage.local.remove(cacheKey(linkedinUrl));
+}
+
+/**
+ * Drop every cached lookup (e.g. after switching Parker instances).
+ */
+export async function clearLookupCache() {
+  const all = await chrome.storage.local.get(null);
+  const keys = Object.keys(all).filter((key) => key.startsWith(CACHE_KEY_PREFIX));
+  if (keys.length) await chrome.storage.local.remove(keys);
+}
+
+/**
+ * Remove all expired entries. Called on service worker startup so the
+ * cache doesn't grow without bound.
+ */
+export async function pruneLookupCache() {
+  const all = await chrome.storage.local.get(null);
+  const ttls = await getTtls();
+  const now = Date.now();
+  const expired = Object.entries(all)
+    .filter(([key, entry]) =>
+      key.startsWith(CACHE_KEY_PREFIX) &&
+      (!entry || !entry.result || now - entry.cachedAt >= ttlFor(entry.result, ttls))
+    )
+    .map(([key]) => key);
+  if (expired.length) await chrome.storage.local.remove(expired);
+}
@@ -0,0 +1,236 @@
+/**
+ * Message schemas and sender checks for the background router.
+ *
+ * Every message type declares which extension contexts may send it and
+ * the shape of its payload. Messages from unknown senders, unknown types
+ * and malformed payloads are rejected before reaching a handler, so a
+ * content script can never read or overwrite credentials and settings.
+ */
+
+import { ErrorCode, failure } from "./errors.js";
+
+// ── Senders ──────────────────────────────────────────────────────────────
+
+export const SENDER = {
+  POPUP: "popup",
+  ONBOARDING: "onboarding",
+  CONTENT: "content",
+};
+
+const EXTENSION_PAGES = {
+  "/popup.html": SENDER.POPUP,
+  "/onboarding.html": SENDER.ONBOARDING,
+};
+
+// Content scripts only ever run on LinkedIn (see manifest.json)
+const CONTENT_SCRIPT_ORIGIN = "https://www.linkedin.com";
+
+const PAGES = [SENDER.POPUP, SENDER.ONBOARDING];
+const ANY = [SENDER.POPUP, SENDER.ONBOARDING, SENDER.CONTENT];
+const LOOKUP_UI = [SENDER.POPUP, SENDER.CONTENT];
+
+// Fields that name a tab other than the sender's own. Content scripts
+// act on the tab they run in (sender.tab), so only the popup may send them.
+const POPUP_ONLY_FIELDS = ["tabId"];
+
+/**
+ * Classify a chrome.runtime.MessageSender as one of SENDER, or null if
+ * it isn't a context of this extension we accept messages from.
+ */
+export function classifySender(sender) {
+  if (!sender || sender.id !== chrome.runtime.id || !sender.url) return null;
+
+  let url;
+  try {
+    url = new URL(sender.url);
+  } catch {
+    return null;
+  }
+
+  // Extension pages (the onboarding page runs in a tab, so check first)
+  if (url.origin === new URL(chrome.runtime.getURL("")).origin) {
+    return EXTENSION_PAGES[url.pathname] || null;
+  }
+
+  if (sender.tab && url.origin === CONTENT_SCRIPT_ORIGIN) {
+    return SENDER.CONTENT;
+  }
+  return null;
+}
+
+// ── Payload schemas ──────────────────────────────────────────────────────
+
+// Field specs are "string" | "number" | "boolean" | "object" |
+// "string[]", with a trailing "?" for optional fields, or a nested
+// schema object. Keys not
+// listed in a schema are rejected.
+
+const CANDIDATE_DATA = {
+  firstName: "string",
+  lastName: "string",
+  linkedinUrl: "string",
+  sourcedDate: "string?",
+  headline: "string?",
+  title: "string?",
+  company: "string?",
+  location: "string?",
+  ownerId: "string?",
+  sourcedById: "string?",
+};
+
+const CANDIDATE_FIELDS = {
+  firstName: "string?",
+  lastName: "string?",
+  linkedinUrl: "string?",
+  headline: "string?",
+  title: "string?",
+  company: "string?",
+  location: "string?",
+};
+
+const SETTINGS = {
+  parkerEmail: "string?",
+  parkerBaseUrl: "string?",
+  cacheTtlFoundMinutes: "number?",
+  cacheTtlNotFoundMinutes: "number?",
+  maxConcurrentRequests: "number?",
+  maxSearchPages: "number?",
+  displayMode: "string?",
+};
+
+export const MESSAGE_SCHEMAS = {
+  LOOKUP_CANDIDATE: {
+    senders: LOOKUP_UI,
+    payload: {
+      linkedinUrl: "string",
+      firstName: "string?",
+      lastName: "string?",
+      company: "string?",
+      location: "string?",
+      refresh: "boolean?",
+      // Sidebar only: lets a newer lookup in the same tab cancel this one
+      requestId: "number?",
+      // Popup only: the tab whose badge and status the result updates
+      tabId: "number?",
+    },
+  },
+  CANCEL_LOOKUP: { senders: [SENDER.CONTENT], payload: {} },
+  GET_TAB_STATE: { senders: [SENDER.POPUP], payload: { tabId: "number" } },
+  GET_COMMANDS: { senders: [SENDER.CONTENT], payload: {} },
+  GET_DISPLAY_MODE: { senders: [SENDER.CONTENT], payload: {} },
+  SELECT_POSSIBLE_MATCH: {
+    senders: LOOKUP_UI,
+    payload: { linkedinUrl: "string", candidatePath: "string", tabId: "number?" },
+  },
+  CREATE_CANDIDATE: {
+    senders: LOOKUP_UI,
+    payload: { data: CANDIDATE_DATA, tabId: "number?" },
+  },
+  UPDATE_CANDIDATE: {
+    senders: LOOKUP_UI,
+    payload: {
+      candidateId: "string",
+      fields: CANDIDATE_FIELDS,
+      linkedinUrl: "string?",
+      // Keys of `fields` whose empty value should clear the Parker field
+      clear: "string[]?",
+      tabId: "number?",
+    },
+  },
+  GET_CANDIDATE_FIELDS: {
+    senders: LOOKUP_UI,
+    payload: { candidateId: "string" },
+  },
+  ADD_CANDIDATE_NOTE: {
+    senders: LOOKUP_UI,
+    payload: { candidateId: "string", text: "string", linkedinUrl: "string?" },
+  },
+  GET_TEAM_ROSTER: {
+    senders: LOOKUP_UI,
+    payload: { refresh: "boolean?" },
+  },
+  PARKER_LOGIN: { senders: PAGES, payload: {} },
+  OPEN_PARKER_LOGIN: { senders: ANY, payload: {} },
+  CHECK_AUTH_STATUS: { senders: ANY, payload: {} },
+  OPEN_EXTENSION_VIEW: { senders: [SENDER.CONTENT], payload: { view: "string" } },
+  SAVE_SETTINGS: { senders: PAGES, payload: { settings: SETTINGS } },
+  GET_SETTINGS: { senders: PAGES, payload: {} },
+  SET_CREDENTIALS: {
+    senders: PAGES,
+    payload: { mode: "string", password: "string?", passphrase: "string?" },
+  },
+  UNLOCK_CREDENTIALS: { senders: [SENDER.POPUP], payload: { passphrase: "string" } },
+  RUN_DIAGNOSTICS: { senders: [SENDER.POPUP], payload: {} },
+  PROFILE_PAGE_LOADED: { senders: [SENDER.CONTENT], payload: {} },
+};
+
+/**
+ * Check a value against a schema object. Returns an error string
+ * naming the first offending field, or null if valid.
+ */
+function checkShape(value, schema, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return `${path || "message"} must be an object`;
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in schema)) return `unexpected field ${path}${key}`;
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const fieldPath = `${path}${key}`;
+    const present = value[key] !== undefined && value[key] !== null;
+    if (typeof spec === "object") {
+      if (!present) return `missing field ${fieldPath}`;
+      const nested = checkShape(value[key], spec, `${fieldPath}.`);
+      if (nested) return nested;
+      continue;
+    }
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    if (!present) {
+      if (optional) continue;
+      return `missing field ${fieldPath}`;
+    }
+    if (type === "string[]") {
+      const valid = Array.isArray(value[key]) && value[key].every((item) => typeof item === "string");
+      if (!valid) return `field ${fieldPath} must be a list of strings`;
+      continue;
+    }
+    if (typeof value[key] !== type || (type === "number" && !Number.isFinite(value[key]))) {
+      return `field ${fieldPath} must be a ${type}`;
+    }
+  }
+  return null;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Validate an incoming message. Returns null if it may be handled, or a
+ * failure result ({ ok: false, error, code }) otherwise.
+ */
+export function validateMessage(msg, sender) {
+  const type = msg && typeof msg === "object" ? msg.type : undefined;
+  const schema = MESSAGE_SCHEMAS[type];
+  if (!schema) {
+    return failure(ErrorCode.UNKNOWN_MESSAGE_TYPE, "Unknown message type");
+  }
+
+  const from = classifySender(sender);
+  if (!from || !schema.senders.includes(from)) {
+    return failure(ErrorCode.UNAUTHORIZED_SENDER, `${type} is not allowed from this context.`);
+  }
+
+  const { type: _type, ...payload } = msg;
+  const foreignTab = POPUP_ONLY_FIELDS.find((key) => payload[key] !== undefined);
+  if (foreignTab && from !== SENDER.POPUP) {
+    return failure(
+      ErrorCode.INVALID_MESSAGE,
+      `Invalid ${type}: ${foreignTab} is only accepted from the popup.`
+    );
+  }
+  const problem = checkShape(payload, schema.payload, "");
+  if (problem) {
+    return failure(ErrorCode.INVALID_MESSAGE, `Invalid ${type}: ${problem}.`);
+  }
+  return null;
+}
@@ -0,0 +1,162 @@
+/**
+ * Candidate name parsing for LinkedIn profile headings.
+ *
+ * Headings carry more than a name: honorifics, credentials, pronouns,
+ * emoji and "Open to work" banners. parseProfileName() strips that noise
+ * and splits what's left into first and last name, keeping surname
+ * particles with the surname. Where the heading alone can't tell (an
+ * abbreviated "Jane D." for out-of-network profiles, or no usable
+ * heading at all), the profile URL's slug fills the gap.
+ *
+ *   "Dr. Maria de la Cruz, PhD"      → Maria / de la Cruz
+ *   "José Luis García"               → José Luis / García
+ *   "Jane Doe (She/Her)"             → Jane / Doe
+ *   "Mike O'Neil 🚀"                 → Mike / O'Neil
+ *   "Li Wei, CFA"                    → Li / Wei
+ *   "Ludwig van Beethoven"           → Ludwig / van Beethoven
+ *   "Sam Lee | Open to work"         → Sam / Lee
+ *   "Robert (Bob) Smith Jr."         → Robert / Smith
+ *   "Anna Schmidt MBA, CPA"          → Anna / Schmidt
+ *   "Jane D." + /in/jane-doe-12345   → Jane / Doe
+ *   "" + /in/kaidi-cao-398131117     → Kaidi / Cao
+ *
+ * Loaded by the content script with a dynamic import (see
+ * web_accessible_resources in manifest.json).
+ */
+
+import { namesFromLinkedinUrl } from "./linkedin-url.js";
+
+const HONORIFICS = new Set([
+  "dr", "mr", "mrs", "ms", "miss", "mx", "prof", "professor", "sir", "dame",
+  "rev", "hon", "capt", "col", "lt", "sgt", "eng", "ing",
+]);
+
+const GENERATIONAL_SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv"]);
+
+// Post-nominal letters seen without a comma, e.g. "Anna Schmidt MBA".
+// Only stripped when written with capitals ("MA", "PhD"), so surnames
+// like "Ma" survive.
+const CREDENTIALS = new Set([
+  "phd", "md", "mba", "cfa", "cpa", "pmp", "pe", "rn", "np", "pa", "dds",
+  "dvm", "jd", "esq", "llm", "msc", "ms", "ma", "bsc", "ba", "bs", "meng",
+  "cissp", "cisa", "shrm-cp", "shrm-scp", "phr", "sphr", "frm", "acca", "aca",
+  "cima", "mrics", "facs", "frcs", "mph", "edd", "psyd", "lcsw",
+]);
+
+// Lowercase words that start a surname: "de la Cruz", "van Beethoven"
+const PARTICLES = new Set([
+  "da", "das", "de", "del", "della", "der", "den", "di", "do", "dos", "du",
+  "la", "le", "van", "von", "ter", "ten", "bin", "binti", "ibn", "al", "el",
+  "st", "st.", "y",
+]);
+
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+const PRONOUNS = /\b(?:she|he|they|ze|xe)\s*\/\s*(?:her|him|them|hers|his|theirs|zir|xem)(?:\s*\/\s*\w+)?\b/gi;
+const OPEN_TO_WORK = /#?\b(?:open\s*to\s*work|opentowork|hiring|#hiring)\b/gi;
+// "Name | Title", "Name – Company", "Name • …"
+const TRAILER = /\s+[|•·–—]\s+.*$|\s+-\s+.*$/;
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function bare(token) {
+  return token.toLowerCase().replace(/\./g, "");
+}
+
+function isCredential(token) {
+  return CREDENTIALS.has(bare(token)) && (token.match(/\p{Lu}/gu) || []).length >= 2;
+}
+
+/**
+ * Lowercase and strip accents, for comparing heading tokens with slug
+ * parts ("José" ~ "jose").
+ */
+function fold(text) {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+function capitalize(part) {
+  return part.charAt(0).toUpperCase() + part.slice(1);
+}
+
+/**
+ * Remove everything that isn't part of the name and return its tokens.
+ */
+function nameTokens(heading) {
+  let text = String(heading || "")
+    .replace(EMOJI, " ")
+    .replace(/[([{][^)\]}]*[)\]}]/g, " ")   // (She/Her), (Bob), [CFA]
+    .replace(PRONOUNS, " ")
+    .replace(OPEN_TO_WORK, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  text = text.replace(TRAILER, "");
+  // Everything after the first comma is credentials: ", PhD", ", CFA"
+  text = text.split(",")[0];
+
+  const tokens = text.split(" ").filter((t) => t && /\p{L}/u.test(t));
+  while (tokens.length > 1 && HONORIFICS.has(bare(tokens[0]))) tokens.shift();
+  while (tokens.length > 1) {
+    const last = tokens[tokens.length - 1];
+    if (!GENERATIONAL_SUFFIXES.has(bare(last)) && !isCredential(last)) break;
+    tokens.pop();
+  }
+  return tokens;
+}
+
+/**
+ * Split tokens into given names and surname. The surname starts at the
+ * first particle after the first token, or is otherwise the last token.
+ */
+function splitTokens(tokens) {
+  if (!tokens.length) return { firstName: "", lastName: "" };
+  if (tokens.length === 1) return { firstName: tokens[0], lastName: "" };
+
+  let start = tokens.length - 1;
+  for (let i = 1; i < tokens.length - 1; i++) {
+    if (PARTICLES.has(tokens[i].toLowerCase())) {
+      start = i;
+      break;
+    }
+  }
+  return {
+    firstName: tokens.slice(0, start).join(" "),
+    lastName: tokens.slice(start).join(" "),
+  };
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Parse a LinkedIn profile heading into { firstName, lastName }.
+ * `linkedinUrl` (optional) is used to fill in a missing or abbreviated
+ * last name, or both names when the heading has nothing usable — but
+ * only when the slug's first part agrees with the heading's first name.
+ */
+export function parseProfileName(heading, linkedinUrl = "") {
+  const name = splitTokens(nameTokens(heading));
+  const slugParts = linkedinUrl ? namesFromLinkedinUrl(linkedinUrl) : [];
+  if (!slugParts.length) return name;
+
+  if (!name.firstName) {
+    return {
+      firstName: capitalize(slugParts[0]),
+      lastName: slugParts.slice(1).map(capitalize).join(" "),
+    };
+  }
+
+  // "Jane D." — LinkedIn abbreviates surnames outside your network
+  const abbreviated = /^\p{L}\.?$/u.test(name.lastName);
+  if ((!name.lastName || abbreviated) && slugParts.length > 1) {
+    const firstMatches = fold(name.firstName.split(" ")[0]) === fold(slugParts[0]);
+    const initialMatches = !abbreviated ||
+      fold(name.lastName[0]) === fold(slugParts[slugParts.length - 1][0]);
+    if (firstMatches && initialMatches) {
+      return {
+        firstName: name.firstName,
+        lastName: slugParts.slice(1).map(capitalize).join(" "),
+      };
+    }
+  }
+  return name;
+}
@@ -1,20 +1,39 @@
 /**
  * Onboarding script — first-run setup for Parker LinkedIn Lookup.
- * Saves credentials and tests the connection to Parker.
+ * Saves the email and credential mode, then tests the connection to Parker.
  */
 
 document.addEventListener("DOMContentLoaded", () => {
   const emailInput = document.getElementById("email");
+  const modeSelect = document.getElementById("credential-mode");
   const passwordInput = document.getElementById("password");
+  const passphraseInput = document.getElementById("passphrase");
   const btn = document.getElementById("btn-connect");
   const statusEl = document.getElementById("status");
 
+  function updateFields() {
+    const mode = modeSelect.value;
+    document.getElementById("password-field").classList.toggle("hidden", mode === "session");
+    document.getElementById("passphrase-field").classList.toggle("hidden", mode !== "encrypted");
+  }
+  modeSelect.addEventListener("change", updateFields);
+  updateFields();
+
   btn.addEventListener("click", async () => {
     const email = emailInput.value.trim();
-    const password = passwordInput.value;
+    const mode = modeSelect.value;
+    const password = mode === "session" ? "" : passwordInput.value;
+    const passphrase = mode === "encrypted" ? passphraseInput.value : "";
 
-    if (!email || !password) {
-      statusEl.textContent = "Please enter both email and password.";
+    if (!email || (mode !== "session" && !password)) {
+      statusEl.textContent = mode === "session"
+        ? "Please enter your email."
+        : "Please enter both email and password.";
+      statusEl.className = "status error";
+      return;
+    }
+    if (mode === "encrypted" && !passphrase) {
+      statusEl.textContent = "Please choose a passphrase.";
       statusEl.className = "status error";
       return;
     }
@@ -24,10 +43,16 @@ document.addEventListener("DOMContentLoaded", () => {
     statusEl.textContent = "Testing connection to Parker\u2026";
     statusEl.className = "status info";
 
-    // Save credentials
+    // Save email and credentials
     await chrome.runtime.sendMessage({
       type: "SAVE_SETTINGS",
-      settings: { parkerEmail: email, parkerPassword: password },
+      settings: { parkerEmail: email },
+    });
+    await chrome.runtime.sendMessage({
+      type: "SET_CREDENTIALS",
+      mode,
+      password,
+      passphrase,
     });
 
     // Test login
@@ -53,7 +78,9 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   // Allow Enter key to submit
-  passwordInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") btn.click();
-  });
+  for (const input of [emailInput, passwordInput, passphraseInput]) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") btn.click();
+    });
+  }
 });
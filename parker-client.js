@@ -8,56 +8,180 @@
 
 import {
   extractCsrfToken,
-  normalizeLinkedinUrl,
-  namesFromLinkedinUrl,
   parseCandidatePage,
   findLinkedInMatchInSearchResults,
+  parseSearchResultRows,
+  findNextPageUrl,
   findOwnerIdForEmail,
+  parseSelectOptions,
+  extractFormFieldNames,
+  findForm,
+  parseFormValues,
+  extractFormError,
+  findNoteForm,
+  parseCandidateNotes,
 } from "./html-parser.js";
+import { rankPossibleMatches } from "./possible-matches.js";
+import { linkedinProfileSlug, namesFromLinkedinUrl } from "./linkedin-url.js";
+import { getCredentialMode, getLoginCredentials } from "./credentials.js";
+import { getParkerBase } from "./parker-instance.js";
+import { queuedFetch } from "./request-queue.js";
+import { DEFAULT_MAX_SEARCH_PAGES, MAX_SEARCH_PAGES_LIMIT } from "./settings-defaults.js";
+import {
+  ErrorCode,
+  ParkerError,
+  failure,
+  httpError,
+  httpFailure,
+  fromException,
+  isDuplicateMessage,
+} from "./errors.js";
 
-const PARKER_BASE = "https://parker.candidatelabs.com";
+/**
+ * Optional profile details captured from LinkedIn, mapped to the
+ * candidate[...] inputs they may appear as in Parker's create form.
+ * The first name present in the form wins; details whose field
+ * doesn't exist in the form are not sent.
+ */
+const OPTIONAL_CANDIDATE_FIELDS = {
+  headline: ["candidate[headline]", "candidate[linkedin_headline]"],
+  title: ["candidate[current_title]", "candidate[title]", "candidate[job_title]"],
+  company: [
+    "candidate[current_company]",
+    "candidate[company]",
+    "candidate[current_employer]",
+    "candidate[company_name]",
+  ],
+  location: ["candidate[location]"],
+};
+
+/**
+ * Every candidate field that can be edited from the extension, mapped
+ * the same way as OPTIONAL_CANDIDATE_FIELDS.
+ */
+const EDITABLE_CANDIDATE_FIELDS = {
+  firstName: ["candidate[first_name]"],
+  lastName: ["candidate[last_name]"],
+  linkedinUrl: ["candidate[linkedin_url]"],
+  ...OPTIONAL_CANDIDATE_FIELDS,
+};
+
+const OWNER_SELECT = "candidate[candidate_owner_id]";
+const SOURCED_BY_SELECT = "candidate[sourced_by_id]";
+const TEAM_ROSTER_KEY = "teamRoster";
+const TEAM_ROSTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+// "<base> <predicates>" of selective searches Parker rejected while a
+// plain search worked, mapped to when that was. Skipped until the entry
+// expires, in case the instance starts permitting them.
+const unsupportedSearches = new Map();
+const UNSUPPORTED_SEARCH_TTL_MS = 60 * 60 * 1000;
+const LOGIN_TAB_THROTTLE_MS = 5 * 60 * 1000;
 
 // ── Helpers ──────────────────────────────────────────────────────────────
 
 /**
  * POST form-encoded data to a Parker URL.
  * Mirrors Python's requests.post(url, data={...}, allow_redirects=True).
+ * `request` ({ signal, priority }) is passed on to the request queue.
  */
-async function postForm(url, formData) {
+async function postForm(url, formData, request) {
   const body = new URLSearchParams(formData);
-  const response = await fetch(url, {
+  return parkerFetch(url, {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body: body.toString(),
-    credentials: "include",
-    redirect: "follow",
-  });
-  return response;
+  }, request);
 }
 
 /**
  * GET a Parker page with credentials (session cookie).
  */
-async function getPage(url) {
-  return fetch(url, {
-    credentials: "include",
-    redirect: "follow",
-  });
+async function getPage(url, request) {
+  return parkerFetch(url, {}, request);
+}
+
+/**
+ * fetch() with the session cookie, through the shared request queue
+ * (concurrency limit, timeout, retries). A request that still fails
+ * (offline, DNS, VPN, timeout) is thrown as a NETWORK ParkerError;
+ * one aborted through `signal` as a CANCELLED ParkerError. `priority`
+ * requests jump the queue (see queuedFetch).
+ */
+async function parkerFetch(url, init, { signal, priority } = {}) {
+  try {
+    return await queuedFetch(
+      url,
+      { ...init, credentials: "include", redirect: "follow" },
+      { signal, priority }
+    );
+  } catch (err) {
+    if (signal?.aborted) {
+      throw new ParkerError(ErrorCode.CANCELLED, "Request was cancelled.");
+    }
+    throw new ParkerError(
+      ErrorCode.NETWORK,
+      err?.name === "TimeoutError"
+        ? "Parker took too long to respond. Try again shortly."
+        : "Could not reach Parker. Check your connection or VPN."
+    );
+  }
+}
+
+/**
+ * Throw when a response means Parker itself is unavailable, so lookup
+ * strategies report the outage instead of falling through to "not found".
+ */
+function assertAvailable(response, action) {
+  if (response.status >= 500 || response.status === 429) {
+    throw httpError(response.status, action);
+  }
+}
+
+/**
+ * Failure result for a form POST Parker didn't accept. Uses the form's
+ * own error message when there is one (DUPLICATE if it says the record
+ * exists, VALIDATION otherwise), else the HTTP status.
+ */
+function formRejection(html, response, what) {
+  const message = extractFormError(html);
+  if (message) {
+    return failure(
+      isDuplicateMessage(message) ? ErrorCode.DUPLICATE : ErrorCode.VALIDATION,
+      `Parker rejected ${what}: ${message}`
+    );
+  }
+  if (!response.ok) return httpFailure(response.status, `saving ${what}`);
+  return failure(
+    ErrorCode.PARSE_FAILED,
+    `Parker didn't confirm ${what} (ended at ${new URL(response.url).pathname}).`
+  );
 }
 
 // ── Authentication ───────────────────────────────────────────────────────
 
+/**
+ * Whether the browser has a Parker session. Hits the root page and
+ * checks for a sign-out link. Throws NETWORK / HTTP_5XX ParkerErrors
+ * when Parker can't be reached, so callers can tell that apart from
+ * being signed out.
+ */
+async function hasSession() {
+  const base = await getParkerBase();
+  const r = await getPage(`${base}/`);
+  assertAvailable(r, "checking your session");
+  if (!r.ok) return false;
+  if (r.url.includes("sign_in")) return false;
+  const html = await r.text();
+  return html.includes("sign_out");
+}
+
 /**
  * Check if we're currently logged in to Parker.
- * Hits the root page and checks for a sign-out link.
  */
 export async function isLoggedIn() {
   try {
-    const r = await getPage(`${PARKER_BASE}/`);
-    if (!r.ok) return false;
-    if (r.url.includes("sign_in")) return false;
-    const html = await r.text();
-    return html.includes("sign_out");
+    return await hasSession();
   } catch {
     return false;
   }
@@ -65,21 +189,23 @@ export async function isLoggedIn() {
 
 /**
  * Perform the actual Parker login (Devise session).
- * Returns { ok: true } on success, { ok: false, error: '...' } on failure.
+ * Returns { ok: true } on success, { ok: false, error, code } on failure.
  */
 export async function doLogin(email, password) {
+  const base = await getParkerBase();
   try {
     // Get the sign-in page to extract CSRF token
-    const signInPage = await getPage(`${PARKER_BASE}/users/sign_in`);
+    const signInPage = await getPage(`${base}/users/sign_in`);
+    assertAvailable(signInPage, "loading the sign-in page");
     const signInHtml = await signInPage.text();
     const token = extractCsrfToken(signInHtml);
 
     if (!token) {
-      return { ok: false, error: "Could not extract CSRF token from login page." };
+      return failure(ErrorCode.CSRF_MISSING, "Could not extract CSRF token from login page.");
     }
 
     // Submit the login form
-    const r = await postForm(`${PARKER_BASE}/users/sign_in`, {
+    const r = await postForm(`${base}/users/sign_in`, {
       authenticity_token: token,
       "user[email]": email,
       "user[password]": password,
@@ -89,29 +215,61 @@ export async function doLogin(email, password) {
     if (r.ok && !r.url.includes("sign_in")) {
       return { ok: true, message: "Logged in to Parker." };
     }
-    return { ok: false, error: "Login failed. Check email/password." };
+    assertAvailable(r, "signing in");
+    return failure(ErrorCode.AUTH_FAILED, "Login failed. Check email/password.");
   } catch (err) {
-    return { ok: false, error: err.message || "Could not connect to Parker." };
+    return fromException(err, "Could not connect to Parker.");
+  }
+}
+
+/**
+ * Focus an existing Parker tab, or open the sign-in page in a new
+ * background tab, so the user can log in with the browser's own
+ * session. Automatic calls are throttled so repeated lookups don't
+ * keep opening tabs; pass { force: true } for explicit user requests.
+ */
+export async function openParkerLogin({ force = false } = {}) {
+  const base = await getParkerBase();
+  const { lastLoginTabAt } = await chrome.storage.session.get("lastLoginTabAt");
+  if (!force && lastLoginTabAt && Date.now() - lastLoginTabAt < LOGIN_TAB_THROTTLE_MS) {
+    return;
+  }
+  await chrome.storage.session.set({ lastLoginTabAt: Date.now() });
+
+  const [existing] = await chrome.tabs.query({ url: `${base}/*` });
+  if (existing) {
+    if (force) {
+      await chrome.tabs.update(existing.id, { active: true });
+      await chrome.windows.update(existing.windowId, { focused: true });
+    }
+    return;
   }
+  await chrome.tabs.create({ url: `${base}/users/sign_in`, active: force });
 }
 
 /**
  * Ensure we have an active Parker session.
- * Auto-logins using stored credentials if session expired.
- * Returns true if authenticated, false otherwise.
+ * Auto-logins with the stored password if the credential mode keeps
+ * one; in browser-session mode, opens a Parker login tab instead.
+ * Throws a ParkerError (AUTH_REQUIRED, AUTH_FAILED, NETWORK, ...) when
+ * there's no usable session.
  */
 export async function ensureLoggedIn() {
-  if (await isLoggedIn()) return true;
+  if (await hasSession()) return;
 
-  // Try auto-login with stored credentials
-  const { parkerEmail, parkerPassword } = await chrome.storage.sync.get([
-    "parkerEmail",
-    "parkerPassword",
-  ]);
-  if (!parkerEmail || !parkerPassword) return false;
+  const credentials = await getLoginCredentials();
+  if (!credentials) {
+    if ((await getCredentialMode()) === "session") {
+      await openParkerLogin();
+    }
+    throw new ParkerError(
+      ErrorCode.AUTH_REQUIRED,
+      "Not logged in to Parker. Sign in to Parker in your browser, or configure credentials in extension settings."
+    );
+  }
 
-  const result = await doLogin(parkerEmail, parkerPassword);
-  return result.ok === true;
+  const result = await doLogin(credentials.email, credentials.password);
+  if (!result.ok) throw new ParkerError(result.code, result.error);
 }
 
 // ── Candidate Lookup ─────────────────────────────────────────────────────
@@ -120,59 +278,141 @@ export async function ensureLoggedIn() {
  * Strategy 1: Use Parker's built-in LinkedIn URL check.
  * Returns parsed candidate data or null.
  */
-async function lookupByUrlCheck(linkedinUrl) {
+async function lookupByUrlCheck(linkedinUrl, request) {
+  const base = await getParkerBase();
   try {
     const checkPage = await getPage(
-      `${PARKER_BASE}/candidates/linkedin_url_check`
+      `${base}/candidates/linkedin_url_check`,
+      request
     );
+    assertAvailable(checkPage, "loading the URL check page");
     if (!checkPage.ok) return null;
     const checkHtml = await checkPage.text();
     const token = extractCsrfToken(checkHtml);
 
     const r = await postForm(
-      `${PARKER_BASE}/candidates/check_linkedin_url`,
-      { authenticity_token: token, linkedin_url: linkedinUrl }
+      `${base}/candidates/check_linkedin_url`,
+      { authenticity_token: token, linkedin_url: linkedinUrl },
+      request
     );
 
+    assertAvailable(r, "checking the LinkedIn URL");
     const html = await r.text();
     if (r.ok && /\/candidates\/\d+$/.test(r.url)) {
       return parseCandidatePage(html, r.url);
     }
     return null;
-  } catch {
+  } catch (err) {
+    // Outages are reported; anything else falls through to the next strategy
+    if (err instanceof ParkerError) throw err;
     return null;
   }
 }
 
 /**
- * Strategy 2: Search by name parts extracted from the LinkedIn URL slug.
- * Returns parsed candidate data or null.
+ * How many search result pages to read per query (settings).
  */
-async function lookupByNameSearch(linkedinUrl) {
-  const nameParts = namesFromLinkedinUrl(linkedinUrl);
-  if (!nameParts.length) return null;
+async function getMaxSearchPages() {
+  const { maxSearchPages } = await chrome.storage.sync.get("maxSearchPages");
+  return Number.isInteger(maxSearchPages)
+    ? Math.min(Math.max(maxSearchPages, 1), MAX_SEARCH_PAGES_LIMIT)
+    : DEFAULT_MAX_SEARCH_PAGES;
+}
 
-  const normalizedTarget = normalizeLinkedinUrl(linkedinUrl);
+/**
+ * State shared by the strategies of one lookup, which run concurrently:
+ * the search rows seen so far (for possible matches), the single-name
+ * search terms already claimed (compared case-insensitively, so the
+ * slug "john-smith" and the page name "John Smith" search once), and
+ * one fetch per candidate detail page. `request` ({ signal, priority })
+ * goes with every Parker request the strategies make.
+ */
+function createLookupContext(base, linkedinUrl, maxPages, request) {
+  const claimedTerms = new Set();
+  const details = new Map();
+  return {
+    base,
+    linkedinUrl,
+    maxPages,
+    request,
+    seenRows: [],
+    /**
+     * Returns true the first time a term is claimed, false after.
+     */
+    claimTerm(term) {
+      const key = term.trim().toLowerCase();
+      if (!key || claimedTerms.has(key)) return false;
+      claimedTerms.add(key);
+      return true;
+    },
+    fetchDetail(candidatePath) {
+      if (!details.has(candidatePath)) {
+        details.set(candidatePath, fetchCandidateDetail(base, candidatePath, request));
+      }
+      return details.get(candidatePath);
+    },
+  };
+}
 
-  for (const namePart of nameParts) {
+/**
+ * Run a candidate search and look for a row whose LinkedIn URL matches,
+ * following Parker's pagination links for up to `maxPages` pages.
+ * Every result row read is pushed onto `ctx.seenRows`.
+ * Returns the matching candidate path or null.
+ */
+async function scanSearchResults(ctx, query, maxPages) {
+  const { base, linkedinUrl, request } = ctx;
+  const params = new URLSearchParams({ ...query, commit: "Search" });
+  let url = `${base}/candidates?${params}`;
+
+  for (let page = 1; url && page <= maxPages; page++) {
+    const r = await getPage(url, request);
+    assertAvailable(r, "searching candidates");
+    if (!r.ok) return null;
+
+    const html = await r.text();
+    ctx.seenRows.push(...parseSearchResultRows(html));
+    const candidatePath = findLinkedInMatchInSearchResults(html, linkedinUrl);
+    if (candidatePath) return candidatePath;
+
+    // Only follow links that stay on this Parker instance
+    const next = findNextPageUrl(html);
+    const nextUrl = next ? new URL(next, base) : null;
+    url = nextUrl?.origin === base ? nextUrl.href : null;
+  }
+  return null;
+}
+
+/**
+ * Fetch and parse a candidate page, or null if it didn't load.
+ */
+async function fetchCandidateDetail(base, candidatePath, request) {
+  const detail = await getPage(`${base}${candidatePath}`, request);
+  if (!detail.ok) return null;
+  return parseCandidatePage(await detail.text(), detail.url);
+}
+
+/**
+ * Run single-name searches (first_name_or_last_name_cont) for each term
+ * another strategy hasn't already claimed, reading up to
+ * `ctx.maxPages` result pages each.
+ * Returns parsed candidate data or null.
+ */
+async function lookupByNameTerms(ctx, terms) {
+  for (const term of terms) {
+    if (!ctx.claimTerm(term)) continue;
     try {
-      const params = new URLSearchParams({
-        "q[first_name_or_last_name_cont]": namePart,
-        commit: "Search",
-      });
-      const r = await getPage(`${PARKER_BASE}/candidates?${params}`);
-      if (!r.ok) continue;
-
-      const html = await r.text();
-      const candidatePath = findLinkedInMatchInSearchResults(html, linkedinUrl);
+      const candidatePath = await scanSearchResults(
+        ctx,
+        { "q[first_name_or_last_name_cont]": term.trim() },
+        ctx.maxPages
+      );
       if (candidatePath) {
-        const detail = await getPage(`${PARKER_BASE}${candidatePath}`);
-        if (detail.ok) {
-          const detailHtml = await detail.text();
-          return parseCandidatePage(detailHtml, detail.url);
-        }
+        const candidate = await ctx.fetchDetail(candidatePath);
+        if (candidate) return candidate;
       }
-    } catch {
+    } catch (err) {
+      if (err instanceof ParkerError) throw err;
       continue;
     }
   }
@@ -180,81 +420,306 @@ async function lookupByNameSearch(linkedinUrl) {
 }
 
 /**
- * Strategy 3: Search by explicit first/last name from the LinkedIn page.
- * Handles URL slugs without hyphens (e.g. /in/anshulsaha).
+ * Strategy 2: Selective searches that return a handful of rows even for
+ * common names — the URL slug against linkedin_url, then first and last
+ * name together. Whether Parker's ransack search permits these
+ * predicates depends on the instance: a query Parker errors on while a
+ * plain name search still works is skipped for a while, and only the
+ * first page is read in case an unpermitted predicate was silently
+ * ignored and every candidate came back.
  * Returns parsed candidate data or null.
  */
-async function lookupByExplicitName(linkedinUrl, firstName, lastName) {
-  const searchTerms = [firstName, lastName].filter((n) => n && n.trim());
-  if (!searchTerms.length) return null;
+async function lookupBySelectiveSearch(ctx, firstName, lastName) {
+  const { base, linkedinUrl } = ctx;
+  const queries = [];
+
+  const slug = linkedinProfileSlug(linkedinUrl);
+  if (slug) queries.push({ "q[linkedin_url_cont]": `/in/${slug}` });
+
+  let first = firstName.trim();
+  let last = lastName.trim();
+  if (!first || !last) {
+    const parts = namesFromLinkedinUrl(linkedinUrl);
+    first = parts[0] || "";
+    last = parts.length > 1 ? parts[parts.length - 1] : "";
+  }
+  if (first && last) {
+    queries.push({ "q[first_name_cont]": first, "q[last_name_cont]": last });
+  }
 
-  for (const term of searchTerms) {
+  for (const query of queries) {
+    const key = `${base} ${Object.keys(query).join(" ")}`;
+    if (Date.now() - (unsupportedSearches.get(key) ?? -Infinity) < UNSUPPORTED_SEARCH_TTL_MS) {
+      continue;
+    }
     try {
-      const params = new URLSearchParams({
-        "q[first_name_or_last_name_cont]": term.trim(),
-        commit: "Search",
-      });
-      const r = await getPage(`${PARKER_BASE}/candidates?${params}`);
-      if (!r.ok) continue;
-
-      const html = await r.text();
-      const candidatePath = findLinkedInMatchInSearchResults(html, linkedinUrl);
+      const candidatePath = await scanSearchResults(ctx, query, 1);
       if (candidatePath) {
-        const detail = await getPage(`${PARKER_BASE}${candidatePath}`);
-        if (detail.ok) {
-          const detailHtml = await detail.text();
-          return parseCandidatePage(detailHtml, detail.url);
-        }
+        const candidate = await ctx.fetchDetail(candidatePath);
+        if (candidate) return candidate;
       }
-    } catch {
-      continue;
+    } catch (err) {
+      if (!(err instanceof ParkerError) || err.code !== ErrorCode.HTTP_5XX) throw err;
+      // Only this search failing means the predicate isn't permitted;
+      // a plain search failing too is an outage, reported as such
+      if (!(await plainSearchWorks(ctx, last || first || slug))) throw err;
+      unsupportedSearches.set(key, Date.now());
     }
   }
   return null;
 }
 
 /**
- * Look up a candidate in Parker by LinkedIn URL.
- * Tries three strategies in order:
- *   1. Parker's built-in URL check
- *   2. Name search from URL slug
- *   3. Name search from explicit first/last name
+ * Whether a plain single-name search succeeds — the control that tells
+ * a predicate Parker doesn't permit apart from Parker being down.
  */
-export async function lookupCandidate(linkedinUrl, firstName = "", lastName = "") {
+async function plainSearchWorks(ctx, term) {
+  const params = new URLSearchParams({ "q[first_name_or_last_name_cont]": term, commit: "Search" });
   try {
-    const loggedIn = await ensureLoggedIn();
-    if (!loggedIn) {
-      return {
-        error: "Not authenticated with Parker. Open extension settings to configure credentials.",
+    const r = await getPage(`${ctx.base}/candidates?${params}`, ctx.request);
+    return r.ok;
+  } catch (err) {
+    if (err.code === ErrorCode.CANCELLED) throw err;
+    return false;
+  }
+}
+
+/**
+ * Strategy 3: Search by name parts extracted from the LinkedIn URL slug.
+ * Returns parsed candidate data or null.
+ */
+async function lookupByNameSearch(ctx) {
+  const nameParts = namesFromLinkedinUrl(ctx.linkedinUrl);
+  if (!nameParts.length) return null;
+  return lookupByNameTerms(ctx, nameParts);
+}
+
+/**
+ * Strategy 4: Search by explicit first/last name from the LinkedIn page.
+ * Handles URL slugs without hyphens (e.g. /in/anshulsaha).
+ * Returns parsed candidate data or null.
+ */
+async function lookupByExplicitName(ctx, firstName, lastName) {
+  const searchTerms = [firstName, lastName].filter((n) => n && n.trim());
+  if (!searchTerms.length) return null;
+  return lookupByNameTerms(ctx, searchTerms);
+}
+
+/**
+ * Run strategies concurrently; the first to return a candidate wins and
+ * the rest are cancelled through `controller`. Each strategy's time and
+ * outcome ("match", "no-match", "error" or "cancelled") is pushed onto
+ * `timings`. Settles once every strategy has stopped: with the winning
+ * candidate, or null if none matched — or, if none matched and one
+ * failed (e.g. an outage), rejects with that error.
+ */
+function raceStrategies(strategies, controller, timings) {
+  return new Promise((resolve, reject) => {
+    let pending = strategies.length;
+    let winner = null;
+    let firstError = null;
+
+    for (const [strategy, run] of strategies) {
+      const started = performance.now();
+      const record = (outcome) => {
+        timings.push({ strategy, outcome, ms: Math.round(performance.now() - started) });
       };
+
+      run()
+        .then((candidate) => {
+          record(candidate ? "match" : "no-match");
+          if (candidate && !winner) {
+            winner = candidate;
+            controller.abort();
+          }
+        }, (err) => {
+          record(err?.code === ErrorCode.CANCELLED ? "cancelled" : "error");
+          firstError = firstError || err;
+        })
+        .finally(() => {
+          if (--pending > 0) return;
+          if (winner || !firstError) resolve(winner);
+          else reject(firstError);
+        });
     }
+  });
+}
+
+/**
+ * Turn the search rows seen during a lookup into ranked possible matches.
+ * Rows are deduplicated by candidate path; the target name falls back to
+ * the URL slug when the page name isn't known. `base` is the Parker
+ * origin the rows' paths are relative to.
+ */
+function collectPossibleMatches(base, seenRows, linkedinUrl, { firstName, lastName, company, location }) {
+  const unique = new Map();
+  for (const row of seenRows) {
+    if (!unique.has(row.path)) unique.set(row.path, row);
+  }
+
+  if (!firstName && !lastName) {
+    const parts = namesFromLinkedinUrl(linkedinUrl);
+    firstName = parts[0] || "";
+    lastName = parts.slice(1).join(" ");
+  }
 
-    // Strategy 1: Parker's URL check
-    let candidate = await lookupByUrlCheck(linkedinUrl);
+  return rankPossibleMatches([...unique.values()], {
+    firstName,
+    lastName,
+    company,
+    location,
+  }).map((match) => ({ ...match, url: `${base}${match.path}` }));
+}
+
+/**
+ * Look up a candidate in Parker by LinkedIn URL.
+ * Runs four strategies concurrently; the first confident match wins
+ * and cancels the others:
+ *   1. Parker's built-in URL check
+ *   2. Selective search (LinkedIn URL, then full name)
+ *   3. Name search from URL slug
+ *   4. Name search from explicit first/last name
+ * Name searches read up to the configured number of result pages and
+ * share search terms and detail pages (see createLookupContext).
+ * When none matches exactly, name-similar search rows are returned as
+ * ranked `possibleMatches` (boosted by company / location if given).
+ * Results carry `timings`: [{ strategy, outcome, ms }] per strategy.
+ * Aborting `signal` cancels the remaining Parker requests; the result is
+ * then a CANCELLED failure. `priority` lookups (the profile the user is
+ * viewing) are served by the request queue before background ones.
+ */
+export async function lookupCandidate(
+  linkedinUrl,
+  firstName = "",
+  lastName = "",
+  { company = "", location = "", signal, priority = false } = {}
+) {
+  const base = await getParkerBase();
+  // Aborted by the caller, or once a strategy wins
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  if (signal?.aborted) controller.abort();
+
+  try {
+    await ensureLoggedIn();
+
+    const ctx = createLookupContext(base, linkedinUrl, await getMaxSearchPages(), {
+      signal: controller.signal,
+      priority,
+    });
+    const timings = [];
+    const candidate = await raceStrategies(
+      [
+        ["urlCheck", () => lookupByUrlCheck(linkedinUrl, ctx.request)],
+        ["selectiveSearch", () => lookupBySelectiveSearch(ctx, firstName, lastName)],
+        ["slugNameSearch", () => lookupByNameSearch(ctx)],
+        ["explicitNameSearch", () => lookupByExplicitName(ctx, firstName, lastName)],
+      ],
+      controller,
+      timings
+    );
     if (candidate) {
       candidate.linkedin_url = candidate.linkedin_url || linkedinUrl;
-      return { found: true, candidate };
+      return { found: true, candidate, timings };
     }
 
-    // Strategy 2: Name-based search from URL slug
-    candidate = await lookupByNameSearch(linkedinUrl);
-    if (candidate) {
-      candidate.linkedin_url = candidate.linkedin_url || linkedinUrl;
-      return { found: true, candidate };
+    const possibleMatches = collectPossibleMatches(base, ctx.seenRows, linkedinUrl, {
+      firstName,
+      lastName,
+      company,
+      location,
+    });
+    return { found: false, possibleMatches, timings };
+  } catch (err) {
+    return fromException(err, "Failed to look up candidate.");
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Load and parse a single candidate record by its relative path
+ * (e.g. '/candidates/12345'). Used when the user confirms a possible match.
+ */
+export async function getCandidate(candidatePath) {
+  const base = await getParkerBase();
+  try {
+    if (!/^\/candidates\/\d+$/.test(candidatePath)) {
+      return failure(ErrorCode.VALIDATION, "Invalid candidate path.");
+    }
+    await ensureLoggedIn();
+
+    const r = await getPage(`${base}${candidatePath}`);
+    if (!r.ok) {
+      return httpFailure(r.status, "loading the candidate");
     }
+    const html = await r.text();
+    return { found: true, candidate: parseCandidatePage(html, r.url) };
+  } catch (err) {
+    return fromException(err, "Failed to load candidate.");
+  }
+}
 
-    // Strategy 3: Search using explicit first/last name from page
-    if (firstName || lastName) {
-      candidate = await lookupByExplicitName(linkedinUrl, firstName, lastName);
-      if (candidate) {
-        candidate.linkedin_url = candidate.linkedin_url || linkedinUrl;
-        return { found: true, candidate };
+// ── Team Roster ──────────────────────────────────────────────────────────
+
+function findIdForEmail(options, email) {
+  if (!email) return "";
+  const match = options.find(
+    (option) => option.label.toLowerCase() === email.toLowerCase()
+  );
+  return match ? match.id : "";
+}
+
+/**
+ * Parker's owner and sourced-by user lists, parsed from /candidates/new
+ * and cached in chrome.storage.local for a day.
+ * Returns { ok, owners, sourcedBy, currentOwnerId, currentSourcedById,
+ * email } where the current IDs are "" if the configured Parker email
+ * isn't in the respective list.
+ */
+export async function getTeamRoster({ refresh = false } = {}) {
+  const base = await getParkerBase();
+  try {
+    const { parkerEmail } = await chrome.storage.sync.get("parkerEmail");
+    const email = parkerEmail || "";
+
+    let roster = null;
+    if (!refresh) {
+      const { [TEAM_ROSTER_KEY]: cached } = await chrome.storage.local.get(TEAM_ROSTER_KEY);
+      // Rosters are per Parker instance
+      if (cached && cached.base === base &&
+          Date.now() - cached.fetchedAt < TEAM_ROSTER_TTL_MS) {
+        roster = cached;
       }
     }
 
-    return { found: false };
+    if (!roster) {
+      await ensureLoggedIn();
+      const newPage = await getPage(`${base}/candidates/new`);
+      if (!newPage.ok) {
+        return httpFailure(newPage.status, "loading the create form");
+      }
+      const newHtml = await newPage.text();
+      roster = {
+        owners: parseSelectOptions(newHtml, OWNER_SELECT),
+        sourcedBy: parseSelectOptions(newHtml, SOURCED_BY_SELECT),
+        base,
+        fetchedAt: Date.now(),
+      };
+      await chrome.storage.local.set({ [TEAM_ROSTER_KEY]: roster });
+    }
+
+    return {
+      ok: true,
+      owners: roster.owners,
+      sourcedBy: roster.sourcedBy,
+      currentOwnerId: findIdForEmail(roster.owners, email),
+      currentSourcedById: findIdForEmail(roster.sourcedBy, email),
+      email,
+    };
   } catch (err) {
-    return { error: err.message || "Failed to look up candidate." };
+    return fromException(err, "Failed to load team roster.");
   }
 }
 
@@ -262,39 +727,59 @@ export async function lookupCandidate(linkedinUrl, firstName = "", lastName = ""
 
 /**
  * Create a stub candidate in Parker.
- * Automatically sets owner and sourced_by to the logged-in user.
+ * Owner and sourced-by default to the logged-in user; pass ownerId /
+ * sourcedById to source on behalf of a teammate. Refuses to create an
+ * ownerless candidate when the current user can't be matched.
+ * Headline, title, company and location are included only for fields
+ * that exist in Parker's create form.
  */
 export async function createCandidate({
   firstName,
   lastName,
   linkedinUrl,
   sourcedDate,
+  ownerId = "",
+  sourcedById = "",
+  ...details
 }) {
+  const base = await getParkerBase();
   try {
-    const loggedIn = await ensureLoggedIn();
-    if (!loggedIn) {
-      return { ok: false, error: "Not authenticated with Parker." };
-    }
+    await ensureLoggedIn();
 
     // GET the new-candidate form directly (avoids the check_linkedin_url
     // redirect chain which can break CSRF token/session synchronisation
     // in the service worker's fetch).
-    const newPage = await getPage(`${PARKER_BASE}/candidates/new`);
+    const newPage = await getPage(`${base}/candidates/new`);
     if (!newPage.ok) {
-      return { ok: false, error: `Could not load create form (HTTP ${newPage.status}).` };
+      return httpFailure(newPage.status, "loading the create form");
     }
     const newHtml = await newPage.text();
 
     const createToken = extractCsrfToken(newHtml);
     if (!createToken) {
-      return { ok: false, error: "Could not extract CSRF token from create form." };
+      return failure(ErrorCode.CSRF_MISSING, "Could not extract CSRF token from create form.");
     }
 
     const sourced = sourcedDate || new Date().toISOString().split("T")[0];
 
-    // Use the logged-in user's own email to auto-detect their owner ID
+    // Default to the logged-in user's own owner / sourced-by IDs
     const { parkerEmail } = await chrome.storage.sync.get("parkerEmail");
-    const ownerId = findOwnerIdForEmail(newHtml, parkerEmail || "");
+    const owners = parseSelectOptions(newHtml, OWNER_SELECT);
+    const sourcedByOptions = parseSelectOptions(newHtml, SOURCED_BY_SELECT);
+    const owner = ownerId || findOwnerIdForEmail(newHtml, parkerEmail || "");
+    const sourcedBy =
+      sourcedById || findIdForEmail(sourcedByOptions, parkerEmail || "") || owner;
+
+    // Never create an ownerless candidate. (Forms without an owner
+    // dropdown at all are submitted as-is.)
+    if (owners.length && !owners.some((option) => option.id === String(owner))) {
+      return failure(
+        ErrorCode.VALIDATION,
+        ownerId
+          ? "The selected owner is no longer in Parker's owner list."
+          : `Your Parker email (${parkerEmail || "not set"}) isn't in Parker's owner list. Choose an owner before creating.`
+      );
+    }
 
     const payload = {
       authenticity_token: createToken,
@@ -305,13 +790,17 @@ export async function createCandidate({
       commit: "Create Candidate",
     };
 
-    // Set owner and sourced_by to the current user
-    if (ownerId) {
-      payload["candidate[candidate_owner_id]"] = ownerId;
-      payload["candidate[sourced_by_id]"] = ownerId;
+    const formFields = extractFormFieldNames(newHtml);
+    for (const [key, fieldNames] of Object.entries(OPTIONAL_CANDIDATE_FIELDS)) {
+      const value = (details[key] || "").trim();
+      const fieldName = fieldNames.find((name) => formFields.has(name));
+      if (value && fieldName) payload[fieldName] = value;
     }
 
-    const createResp = await postForm(`${PARKER_BASE}/candidates`, payload);
+    if (owner) payload[OWNER_SELECT] = owner;
+    if (sourcedBy) payload[SOURCED_BY_SELECT] = sourcedBy;
+
+    const createResp = await postForm(`${base}/candidates`, payload);
     const createHtml = await createResp.text();
 
     if (createResp.ok && /\/candidates\/\d+/.test(createResp.url)) {
@@ -319,19 +808,197 @@ export async function createCandidate({
       return { ok: true, alreadyExisted: false, candidate };
     }
 
-    // Try to extract an error message from the response.
-    // Parker wraps errors in nested HTML (e.g. <div class="alert"><ul><li>...</li></ul></div>)
-    // so we grab the whole error block and strip tags.
-    const errorBlockMatch = createHtml.match(
-      /class="[^"]*(?:error|alert)[^"]*"[^>]*>([\s\S]*?)<\/div>/i
-    );
-    let errorMsg = `HTTP ${createResp.status}`;
-    if (errorBlockMatch) {
-      const stripped = errorBlockMatch[1].replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
-      if (stripped) errorMsg = stripped;
+    const rejection = formRejection(createHtml, createResp, "the candidate");
+    if (rejection.code === ErrorCode.DUPLICATE) {
+      // Point the UI at the record that already has this LinkedIn URL
+      const existing = await lookupByUrlCheck(linkedinUrl);
+      if (existing) rejection.candidate = existing;
+    }
+    return rejection;
+  } catch (err) {
+    return fromException(err, "Failed to create candidate.");
+  }
+}
+
+// ── Candidate Update ─────────────────────────────────────────────────────
+
+/**
+ * Load a candidate's edit form: its action, CSRF token and current field
+ * values. Returns { form, token, current }, or a failure result.
+ */
+async function loadEditForm(base, candidateId) {
+  const editPage = await getPage(`${base}/candidates/${candidateId}/edit`);
+  if (!editPage.ok) {
+    return httpFailure(editPage.status, "loading the edit form");
+  }
+  const editHtml = await editPage.text();
+
+  const form = findForm(editHtml, new RegExp(`/candidates/${candidateId}$`));
+  if (!form) {
+    return failure(ErrorCode.PARSE_FAILED, "Could not find the candidate edit form.");
+  }
+  const token = extractCsrfToken(form.html) || extractCsrfToken(editHtml);
+  if (!token) {
+    return failure(ErrorCode.CSRF_MISSING, "Could not extract CSRF token from edit form.");
+  }
+  return { form, token, current: parseFormValues(form.html) };
+}
+
+/**
+ * A candidate's current values for the keys of EDITABLE_CANDIDATE_FIELDS
+ * that Parker's edit form has, for pre-filling the edit form in the UI.
+ * Returns { ok: true, fields }.
+ */
+export async function getCandidateFields(candidateId) {
+  const base = await getParkerBase();
+  try {
+    if (!/^\d+$/.test(String(candidateId))) {
+      return failure(ErrorCode.VALIDATION, "Invalid candidate ID.");
+    }
+    await ensureLoggedIn();
+
+    const edit = await loadEditForm(base, candidateId);
+    if (edit.ok === false) return edit;
+
+    const fields = {};
+    for (const [key, fieldNames] of Object.entries(EDITABLE_CANDIDATE_FIELDS)) {
+      const fieldName = fieldNames.find((name) => name in edit.current);
+      if (fieldName) fields[key] = (edit.current[fieldName] || "").trim();
+    }
+    return { ok: true, fields };
+  } catch (err) {
+    return fromException(err, "Failed to load the candidate's fields.");
+  }
+}
+
+/**
+ * Update an existing Parker candidate.
+ * Loads /candidates/:id/edit for the CSRF token and current values, then
+ * PATCHes only the fields that actually changed. `fields` uses the keys
+ * of EDITABLE_CANDIDATE_FIELDS (linkedinUrl, location, title, ...);
+ * fields the edit form doesn't have are reported back in `skipped`.
+ * Empty values are ignored — a blank scrape never wipes Parker data —
+ * unless the key is listed in `clear`.
+ */
+export async function updateCandidate(candidateId, fields, { clear = [] } = {}) {
+  const base = await getParkerBase();
+  try {
+    if (!/^\d+$/.test(String(candidateId))) {
+      return failure(ErrorCode.VALIDATION, "Invalid candidate ID.");
+    }
+    await ensureLoggedIn();
+
+    const edit = await loadEditForm(base, candidateId);
+    if (edit.ok === false) return edit;
+    const { form, token, current } = edit;
+
+    const payload = {};
+    const changed = [];
+    const skipped = [];
+    for (const [key, rawValue] of Object.entries(fields || {})) {
+      const fieldNames = EDITABLE_CANDIDATE_FIELDS[key];
+      if (!fieldNames) continue;
+      const fieldName = fieldNames.find((name) => name in current);
+      if (!fieldName) {
+        skipped.push(key);
+        continue;
+      }
+      const value = String(rawValue ?? "").trim();
+      if (!value && !clear.includes(key)) continue;
+      if (value !== (current[fieldName] || "").trim()) {
+        payload[fieldName] = value;
+        changed.push(key);
+      }
+    }
+
+    if (!changed.length) {
+      return { ok: true, changed, skipped, unchanged: true };
+    }
+
+    const updateResp = await postForm(new URL(form.action, base).href, {
+      _method: "patch",
+      authenticity_token: token,
+      ...payload,
+      commit: "Update Candidate",
+    });
+    const updateHtml = await updateResp.text();
+
+    if (updateResp.ok && /\/candidates\/\d+$/.test(updateResp.url)) {
+      const candidate = parseCandidatePage(updateHtml, updateResp.url);
+      return {
+        ok: true,
+        changed,
+        skipped,
+        candidate,
+        previousLinkedinUrl: current["candidate[linkedin_url]"] || "",
+      };
+    }
+
+    const rejection = formRejection(updateHtml, updateResp, "the update");
+    if (rejection.code === ErrorCode.DUPLICATE && payload["candidate[linkedin_url]"]) {
+      // Another record already has this LinkedIn URL
+      const existing = await lookupByUrlCheck(payload["candidate[linkedin_url]"]);
+      if (existing) rejection.candidate = existing;
+    }
+    return rejection;
+  } catch (err) {
+    return fromException(err, "Failed to update candidate.");
+  }
+}
+
+// ── Candidate Notes ──────────────────────────────────────────────────────
+
+/**
+ * Add a note to a candidate using the note form on their Parker page.
+ * Returns { ok: true, notes } with the refreshed recent notes on success.
+ */
+export async function addCandidateNote(candidateId, text) {
+  const base = await getParkerBase();
+  try {
+    if (!/^\d+$/.test(String(candidateId))) {
+      return failure(ErrorCode.VALIDATION, "Invalid candidate ID.");
+    }
+    const body = (text || "").trim();
+    if (!body) {
+      return failure(ErrorCode.VALIDATION, "Note is empty.");
+    }
+    await ensureLoggedIn();
+
+    const page = await getPage(`${base}/candidates/${candidateId}`);
+    if (!page.ok) {
+      return httpFailure(page.status, "loading the candidate");
+    }
+    const pageHtml = await page.text();
+
+    const form = findNoteForm(pageHtml);
+    if (!form) {
+      return failure(ErrorCode.PARSE_FAILED, "Could not find the note form on the candidate page.");
+    }
+    const token = form.values.authenticity_token || extractCsrfToken(pageHtml);
+    if (!token) {
+      return failure(ErrorCode.CSRF_MISSING, "Could not extract CSRF token from note form.");
+    }
+
+    const r = await postForm(new URL(form.action, base).href, {
+      ...form.values,
+      authenticity_token: token,
+      [form.fieldName]: body,
+    });
+    const html = await r.text();
+
+    const formError = extractFormError(html);
+    if (!r.ok || (formError && !/\/candidates\/\d+$/.test(r.url))) {
+      return formRejection(html, r, "the note");
+    }
+
+    // Parker redirects back to the candidate page; fall back to reloading it
+    let notes = /\/candidates\/\d+$/.test(r.url) ? parseCandidateNotes(html) : [];
+    if (!notes.length) {
+      const refreshed = await getPage(`${base}/candidates/${candidateId}`);
+      if (refreshed.ok) notes = parseCandidateNotes(await refreshed.text());
     }
-    return { ok: false, error: `Parker rejected the candidate: ${errorMsg}` };
+    return { ok: true, notes };
   } catch (err) {
-    return { ok: false, error: err.message || "Failed to create candidate." };
+    return fromException(err, "Failed to add note.");
   }
 }
@@ -0,0 +1,79 @@
+/**
+ * Which Parker instance the extension talks to.
+ *
+ * Production is the default and is covered by the manifest's
+ * host_permissions and the static Origin rule in rules.json. A different
+ * base URL (staging, a local dev server) can be set in settings: its host
+ * permission is requested at runtime from the popup, and the same Origin
+ * rewrite is registered for it as a dynamic declarativeNetRequest rule.
+ */
+
+import { DEFAULT_PARKER_BASE } from "./settings-defaults.js";
+
+// Dynamic rule IDs are separate from the static ruleset's
+const ORIGIN_RULE_ID = 1;
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1"];
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Reduce user input to a Parker origin ("https://host[:port]").
+ * Empty input means the default instance. Returns null for anything that
+ * isn't https, except plain http on localhost for local development.
+ */
+export function normalizeParkerBaseUrl(input) {
+  const value = (input || "").trim();
+  if (!value) return DEFAULT_PARKER_BASE;
+  try {
+    const url = new URL(value);
+    const isLocal = url.protocol === "http:" && LOCAL_HOSTS.includes(url.hostname);
+    if (url.protocol !== "https:" && !isLocal) return null;
+    return url.origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The configured Parker origin, or the production default.
+ */
+export async function getParkerBase() {
+  const { parkerBaseUrl } = await chrome.storage.sync.get("parkerBaseUrl");
+  return normalizeParkerBaseUrl(parkerBaseUrl) || DEFAULT_PARKER_BASE;
+}
+
+/**
+ * Whether the extension may fetch from this Parker origin.
+ */
+export async function hasParkerAccess(base) {
+  if (base === DEFAULT_PARKER_BASE) return true;
+  return chrome.permissions.contains({ origins: [`${base}/*`] });
+}
+
+/**
+ * Register (or drop) the dynamic Origin-rewrite rule so Rails' CSRF
+ * origin check passes for POSTs to the configured instance.
+ */
+export async function syncOriginRule() {
+  const base = await getParkerBase();
+  const addRules = base === DEFAULT_PARKER_BASE ? [] : [
+    {
+      id: ORIGIN_RULE_ID,
+      priority: 1,
+      action: {
+        type: "modifyHeaders",
+        requestHeaders: [{ header: "Origin", operation: "set", value: base }],
+      },
+      condition: {
+        urlFilter: `|${base}/`,
+        requestMethods: ["post"],
+        resourceTypes: ["xmlhttprequest"],
+      },
+    },
+  ];
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: [ORIGIN_RULE_ID],
+    addRules,
+  });
+}
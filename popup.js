@@ -3,22 +3,55 @@
  *
  * Flow:
  *  1. On open, check if credentials are configured.
- *  2. Check if we're on a LinkedIn /in/ page.
+ *  2. Check if we're on a LinkedIn /in/, Recruiter or Sales Navigator
+ *     profile page.
  *  3. If yes, ask the content script for profile data, then ask the
  *     background worker to look up the candidate in Parker.
  *  4. Show the appropriate state: found / not-found / error.
  *  5. Handle create-candidate and settings interactions.
+ *
+ * The same page is Chrome's side panel (popup.html?mode=sidepanel, see
+ * display-mode.js). There it stays open and follows the active tab.
  */
 
+import { canonicalLinkedinUrl, sameLinkedinProfile } from "./linkedin-url.js";
+import { TabStatus, statusOfResult, onTabStatusChanged } from "./tab-status.js";
+import { DEFAULT_DISPLAY_MODE } from "./display-mode.js";
+import {
+  DEFAULT_PARKER_BASE,
+  DEFAULT_CACHE_TTL_FOUND_MINUTES,
+  DEFAULT_CACHE_TTL_NOT_FOUND_MINUTES,
+  DEFAULT_MAX_CONCURRENT_REQUESTS,
+  MAX_CONCURRENT_REQUESTS_LIMIT,
+  DEFAULT_MAX_SEARCH_PAGES,
+  MAX_SEARCH_PAGES_LIMIT,
+} from "./settings-defaults.js";
+
 document.addEventListener("DOMContentLoaded", init);
 
+const isSidePanel = new URLSearchParams(location.search).get("mode") === "sidepanel";
+
+// The active tab, its profile data and the candidate currently shown.
+// Changes made here are recorded against currentTabId (see tab-status.js).
+let currentTabId;
+let currentProfile = null;
+let currentCandidate = null;
+// Tab status (see tab-status.js) of what the side panel last showed
+let shownStatus = null;
+// Incremented by each checkCurrentTab() call. The side panel re-checks
+// whenever the active tab changes, so a check that finishes after a
+// newer one started is for a tab that's no longer shown.
+let checkSeq = 0;
+
 // ---- DOM refs -----------------------------------------------------------
 const $ = (id) => document.getElementById(id);
 
 const mainView = $("main-view");
 const settingsView = $("settings-view");
+const diagnosticsView = $("diagnostics-view");
 
 const stateSetup = $("state-setup");
+const stateLocked = $("state-locked");
 const stateNotLinkedIn = $("state-not-linkedin");
 const stateLoading = $("state-loading");
 const stateFound = $("state-found");
@@ -29,7 +62,7 @@ const stateError = $("state-error");
 // ---- State management ---------------------------------------------------
 
 function showState(stateEl) {
-  [stateSetup, stateNotLinkedIn, stateLoading, stateFound, stateNotFound, stateCreated, stateError]
+  [stateSetup, stateLocked, stateNotLinkedIn, stateLoading, stateFound, stateNotFound, stateCreated, stateError]
     .forEach((el) => el.classList.add("hidden"));
   stateEl.classList.remove("hidden");
 }
@@ -42,32 +75,91 @@ async function init() {
   $("btn-cancel-settings").addEventListener("click", closeSettings);
   $("btn-save-settings").addEventListener("click", saveSettings);
   $("btn-test-login").addEventListener("click", testLogin);
+  $("btn-open-diagnostics").addEventListener("click", openDiagnostics);
+  $("btn-close-diagnostics").addEventListener("click", closeDiagnostics);
+  $("btn-run-diagnostics").addEventListener("click", runDiagnostics);
+  $("btn-export-diagnostics").addEventListener("click", exportDiagnostics);
   $("btn-create").addEventListener("click", createCandidate);
   $("btn-retry").addEventListener("click", () => checkCurrentTab());
+  $("btn-refresh").addEventListener("click", () => checkCurrentTab({ refresh: true }));
   $("btn-open-settings").addEventListener("click", openSettings);
+  $("btn-review-credentials").addEventListener("click", openSettings);
+  $("btn-unlock").addEventListener("click", unlock);
+  $("btn-skip-unlock").addEventListener("click", () => checkCurrentTab());
+  $("unlock-passphrase").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") unlock();
+  });
+  $("setting-credential-mode").addEventListener("change", updateCredentialFields);
+  $("btn-edit-toggle").addEventListener("click", () => {
+    const hidden = $("edit-form").classList.toggle("hidden");
+    if (!hidden && currentCandidate?.id) loadEditFields();
+  });
+  $("btn-edit-fill").addEventListener("click", fillEditFromLinkedIn);
+  $("btn-save-edit").addEventListener("click", saveEdit);
+  $("btn-add-note").addEventListener("click", addNote);
+  $("btn-submissions-toggle").addEventListener("click", () => {
+    submissionsExpanded = !submissionsExpanded;
+    renderSubmissions(currentSubmissions);
+  });
 
   // Default sourced date = today
   $("field-date").value = new Date().toISOString().split("T")[0];
 
+  if (isSidePanel) {
+    document.body.classList.add("side-panel");
+    followActiveTab();
+  }
+
+  // Opened in a tab from the sidebar's error actions
+  if (location.hash === "#settings" || location.hash === "#diagnostics") {
+    await openSettings();
+    if (location.hash === "#diagnostics") {
+      openDiagnostics();
+      runDiagnostics();
+    }
+    return;
+  }
+
   // Check if credentials are configured
   const settings = await chrome.runtime.sendMessage({ type: "GET_SETTINGS" });
-  if (!settings.parkerEmail || !settings.parkerPassword) {
+  $("migration-notice").classList.toggle("hidden", !settings.migrationNotice);
+  if (!settings.parkerEmail) {
     showState(stateSetup);
     return;
   }
+  if (settings.locked) {
+    showState(stateLocked);
+    return;
+  }
 
   await checkCurrentTab();
 }
 
 // ---- Core flow ----------------------------------------------------------
 
-async function checkCurrentTab() {
+/**
+ * Whether the URL is a LinkedIn profile, Recruiter profile or
+ * Sales Navigator lead page (the pages content.js runs on).
+ */
+function isProfilePage(url) {
+  return /linkedin\.com\/(?:in\/|talent\/(?:.*\/)?profile\/|sales\/lead\/)/.test(url);
+}
+
+async function checkCurrentTab({ refresh = false, attempt = 0 } = {}) {
+  const seq = ++checkSeq;
+  const superseded = () => seq !== checkSeq;
+  clearTimeout(retryTimer);
   showState(stateLoading);
+  shownStatus = null;
 
-  // 1. Get the active tab
+  // 1. Get the active tab. The side panel has no activeTab grant, so it
+  // may not see the URL — then only the content script's answer counts.
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (superseded()) return;
+  currentTabId = tab?.id;
+  const urlUnknown = isSidePanel && tab && !tab.url;
 
-  if (!tab || !tab.url || !tab.url.match(/linkedin\.com\/in\//)) {
+  if (!tab || (!urlUnknown && !isProfilePage(tab.url || ""))) {
     showState(stateNotLinkedIn);
     return;
   }
@@ -80,51 +172,463 @@ async function checkCurrentTab() {
     });
     profileData = response?.data;
   } catch {
-    // Content script might not be injected yet — fall back to URL only
-    const url = new URL(tab.url);
-    profileData = {
-      linkedinUrl: `https://www.linkedin.com${url.pathname.replace(/\/+$/, "")}`,
-      firstName: "",
-      lastName: "",
-    };
+    // Content script might not be injected yet — fall back to URL only.
+    // Recruiter / Sales Navigator URLs don't contain the public profile
+    // URL, so only /in/ pages can fall back.
+    const linkedinUrl = canonicalLinkedinUrl(tab.url || "");
+    profileData = linkedinUrl ? { linkedinUrl, firstName: "", lastName: "" } : null;
   }
+  if (superseded()) return;
 
   if (!profileData || !profileData.linkedinUrl) {
     showState(stateNotLinkedIn);
     return;
   }
+  currentProfile = profileData;
 
-  // 3. Look up in Parker
+  // 3. Reuse the sidebar's result for this tab, or look up in Parker
   try {
-    const result = await chrome.runtime.sendMessage({
-      type: "LOOKUP_CANDIDATE",
-      linkedinUrl: profileData.linkedinUrl,
-      firstName: profileData.firstName,
-      lastName: profileData.lastName,
-    });
+    const state = refresh ? null : await getTabState(tab.id, profileData.linkedinUrl);
+    if (superseded()) return;
+    if (isSidePanel && state?.status === TabStatus.LOADING) {
+      // The sidebar's lookup is running; followActiveTab() picks up its result
+      shownStatus = TabStatus.LOADING;
+      return;
+    }
+
+    const result = (state?.result && !state.result.error && state.result) ||
+      (await chrome.runtime.sendMessage({
+        type: "LOOKUP_CANDIDATE",
+        linkedinUrl: profileData.linkedinUrl,
+        firstName: profileData.firstName,
+        lastName: profileData.lastName,
+        company: profileData.company || "",
+        location: profileData.location || "",
+        refresh,
+        tabId: tab.id,
+      }));
+    if (superseded()) return;
+    shownStatus = statusOfResult(result);
 
     if (result.error) {
-      showError(result.error);
+      showError(result, "Lookup failed.", {
+        retry: (next) => checkCurrentTab({ refresh, attempt: next }),
+        attempt,
+      });
       return;
     }
 
     if (result.found) {
-      // Candidate exists — render rich detail card
-      const c = result.candidate || {};
-      $("found-name").textContent = c.name || "Candidate";
-      $("found-owner").textContent = c.current_owner ? `Owner: ${c.current_owner}` : "";
-      $("found-link").href = c.url || "#";
-      renderTimeline(c.timeline || []);
-      showState(stateFound);
+      renderFound(result.candidate || {});
     } else {
       // Not found — prefill create form
       $("field-first").value = profileData.firstName;
       $("field-last").value = profileData.lastName;
+      $("field-headline").value = profileData.headline || "";
+      $("field-title").value = profileData.title || "";
+      $("field-company").value = profileData.company || "";
+      $("field-location").value = profileData.location || "";
       $("field-url").value = profileData.linkedinUrl;
+      renderPossibleMatches(result.possibleMatches || []);
+      loadTeamRoster();
       showState(stateNotFound);
     }
   } catch (err) {
-    showError(err.message || "Could not connect to Parker.");
+    if (superseded()) return;
+    showError({ error: err.message }, "Could not connect to Parker.");
+  }
+}
+
+/**
+ * The sidebar's lookup state for this tab's profile (see tab-status.js),
+ * or null if there isn't one or it was recorded for a different profile.
+ */
+async function getTabState(tabId, linkedinUrl) {
+  const { state } = await chrome.runtime.sendMessage({ type: "GET_TAB_STATE", tabId });
+  return state && state.linkedinUrl === linkedinUrl ? state : null;
+}
+
+// ---- Side panel ---------------------------------------------------------
+
+/**
+ * Keep the side panel on the active tab's profile: re-check when
+ * another tab is activated, when a page finishes loading, and when the
+ * sidebar records a lookup for in-page navigation or a new result.
+ */
+async function followActiveTab() {
+  const { id: windowId } = await chrome.windows.getCurrent();
+  let [{ id: activeTabId } = {}] = await chrome.tabs.query({ active: true, windowId });
+
+  const recheck = () => {
+    // Leave settings, setup and the passphrase prompt alone
+    if (mainView.classList.contains("hidden")) return;
+    if (!stateSetup.classList.contains("hidden") || !stateLocked.classList.contains("hidden")) return;
+    checkCurrentTab();
+  };
+
+  chrome.tabs.onActivated.addListener(({ tabId, windowId: tabWindowId }) => {
+    if (tabWindowId !== windowId) return;
+    activeTabId = tabId;
+    recheck();
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === activeTabId && changeInfo.status === "complete") recheck();
+  });
+
+  onTabStatusChanged((tabId, state) => {
+    // Cleared states are followed by a new lookup or a page load
+    if (tabId !== activeTabId || !state) return;
+    if (state.linkedinUrl !== currentProfile?.linkedinUrl || state.status !== shownStatus) {
+      recheck();
+    }
+  });
+}
+
+/**
+ * Render the found state — the rich candidate detail card.
+ */
+function renderFound(c) {
+  $("found-name").textContent = c.name || "Candidate";
+  $("found-owner").textContent = c.current_owner ? `Owner: ${c.current_owner}` : "";
+  $("found-link").href = c.url || "#";
+  renderTimeline(c.timeline || []);
+  submissionsExpanded = false;
+  renderSubmissions(c.submissions || []);
+  renderNotes(c.notes || []);
+  $("note-input").value = "";
+  $("note-status").textContent = "";
+  renderEditForm(c);
+  showState(stateFound);
+}
+
+// ---- Notes --------------------------------------------------------------
+
+function renderNotes(notes) {
+  const container = $("found-notes");
+  container.innerHTML = "";
+
+  if (!notes.length) {
+    const empty = document.createElement("div");
+    empty.className = "note-empty";
+    empty.textContent = "No notes yet.";
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const note of notes) {
+    const row = document.createElement("div");
+    row.className = "note-row";
+
+    const metaText = [note.author, note.date].filter(Boolean).join(" \u00b7 ");
+    if (metaText) {
+      const meta = document.createElement("div");
+      meta.className = "note-meta";
+      meta.textContent = metaText;
+      row.appendChild(meta);
+    }
+
+    const body = document.createElement("div");
+    body.className = "note-body";
+    body.textContent = note.body;
+    row.appendChild(body);
+
+    container.appendChild(row);
+  }
+}
+
+async function addNote() {
+  const btn = $("btn-add-note");
+  const statusEl = $("note-status");
+  const text = $("note-input").value.trim();
+  if (!currentCandidate || !currentCandidate.id || !text) return;
+
+  btn.disabled = true;
+  btn.textContent = "Saving\u2026";
+  statusEl.textContent = "";
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: "ADD_CANDIDATE_NOTE",
+      candidateId: currentCandidate.id,
+      text,
+      linkedinUrl: currentProfile?.linkedinUrl || "",
+    });
+    if (result.ok) {
+      $("note-input").value = "";
+      if (result.notes.length) renderNotes(result.notes);
+      statusEl.textContent = "Note added.";
+      statusEl.style.color = "#34c759";
+    } else if (needsErrorState(result)) {
+      showError(result, "Could not add note.");
+    } else {
+      statusEl.textContent = result.error || "Could not add note.";
+      statusEl.style.color = "#ff3b30";
+    }
+  } catch (err) {
+    statusEl.textContent = err.message || "Could not add note.";
+    statusEl.style.color = "#ff3b30";
+  }
+  btn.disabled = false;
+  btn.textContent = "Add note";
+}
+
+// ---- Update candidate ---------------------------------------------------
+
+const EDIT_INPUTS = {
+  linkedinUrl: "edit-linkedin",
+  title: "edit-title",
+  company: "edit-company",
+  location: "edit-location",
+};
+
+// Parker's current values, loaded when the edit form opens. Only fields
+// that differ from them are sent, so a blank LinkedIn scrape never
+// overwrites Parker data.
+let editOriginal = null;
+
+function renderEditForm(c) {
+  currentCandidate = c;
+  const profile = currentProfile || {};
+  editOriginal = null;
+  for (const id of Object.values(EDIT_INPUTS)) $(id).value = "";
+  $("edit-status").textContent = "";
+  $("edit-form").classList.add("hidden");
+
+  let hint = "";
+  if (!c.linkedin_url) {
+    hint = "This Parker record has no LinkedIn URL.";
+  } else if (profile.linkedinUrl && !sameLinkedinProfile(c.linkedin_url, profile.linkedinUrl)) {
+    hint = "Parker has a different LinkedIn URL for this candidate.";
+  }
+  $("found-url-hint").textContent = hint;
+}
+
+async function loadEditFields() {
+  const statusEl = $("edit-status");
+  const candidateId = currentCandidate.id;
+  editOriginal = null;
+  $("btn-save-edit").disabled = true;
+  statusEl.textContent = "Loading Parker's values\u2026";
+  statusEl.style.color = "#86868b";
+
+  let result;
+  try {
+    result = await chrome.runtime.sendMessage({ type: "GET_CANDIDATE_FIELDS", candidateId });
+  } catch (err) {
+    result = { ok: false, error: err.message };
+  }
+  if (currentCandidate?.id !== candidateId) return;
+  if (!result.ok) {
+    statusEl.textContent = result.error || "Could not load the Parker record.";
+    statusEl.style.color = "#ff3b30";
+    return;
+  }
+
+  editOriginal = {};
+  for (const [key, id] of Object.entries(EDIT_INPUTS)) {
+    editOriginal[key] = result.fields[key] || "";
+    $(id).value = editOriginal[key];
+  }
+  statusEl.textContent = "";
+  $("btn-save-edit").disabled = false;
+}
+
+function fillEditFromLinkedIn() {
+  // Only the details LinkedIn shows; blanks keep Parker's value
+  const profile = currentProfile || {};
+  for (const [key, id] of Object.entries(EDIT_INPUTS)) {
+    if (profile[key]) $(id).value = profile[key];
+  }
+}
+
+/**
+ * Fields the user changed from Parker's values, and which of them they
+ * emptied on purpose.
+ */
+function editedFields() {
+  const fields = {};
+  const clear = [];
+  for (const [key, id] of Object.entries(EDIT_INPUTS)) {
+    const value = $(id).value.trim();
+    if (value === editOriginal[key]) continue;
+    fields[key] = value;
+    if (!value) clear.push(key);
+  }
+  return { fields, clear };
+}
+
+async function sendUpdate(candidateId, fields, clear) {
+  return chrome.runtime.sendMessage({
+    type: "UPDATE_CANDIDATE",
+    candidateId,
+    fields,
+    clear,
+    linkedinUrl: currentProfile?.linkedinUrl || "",
+    tabId: currentTabId,
+  });
+}
+
+async function saveEdit() {
+  const btn = $("btn-save-edit");
+  const statusEl = $("edit-status");
+  if (!currentCandidate || !currentCandidate.id || !editOriginal) return;
+
+  const { fields, clear } = editedFields();
+  if (!Object.keys(fields).length) {
+    statusEl.textContent = "Nothing to update.";
+    statusEl.style.color = "#86868b";
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = "Saving\u2026";
+  statusEl.textContent = "";
+  try {
+    const result = await sendUpdate(currentCandidate.id, fields, clear);
+    if (!result.ok && needsErrorState(result)) {
+      showError(result, "Update failed.");
+    } else if (!result.ok) {
+      statusEl.textContent = result.error || "Update failed.";
+      statusEl.style.color = "#ff3b30";
+    } else if (result.unchanged) {
+      statusEl.textContent = "Nothing to update.";
+      statusEl.style.color = "#86868b";
+    } else {
+      if (result.candidate) renderFound(result.candidate);
+      $("edit-status").textContent = `Updated ${result.changed.join(", ")}.` +
+        (result.skipped.length ? ` Not in Parker's form: ${result.skipped.join(", ")}.` : "");
+      $("edit-status").style.color = "#34c759";
+    }
+  } catch (err) {
+    statusEl.textContent = err.message || "Update failed.";
+    statusEl.style.color = "#ff3b30";
+  }
+  btn.disabled = false;
+  btn.textContent = "Save to Parker";
+}
+
+async function attachLinkedinUrl(match, btn) {
+  btn.disabled = true;
+  btn.textContent = "Saving\u2026";
+  try {
+    const result = await sendUpdate(match.id, {
+      linkedinUrl: currentProfile?.linkedinUrl || "",
+    });
+    if (result.ok && result.candidate) {
+      renderFound(result.candidate);
+    } else if (result.ok) {
+      // Already had this URL — just show the record
+      await selectPossibleMatch(match, btn);
+    } else {
+      showError(result, "Update failed.");
+    }
+  } catch (err) {
+    showError({ error: err.message }, "Could not connect to Parker.");
+  }
+}
+
+// ---- Possible matches ---------------------------------------------------
+
+function renderPossibleMatches(matches) {
+  const container = $("possible-match-rows");
+  container.innerHTML = "";
+  $("possible-matches").classList.toggle("hidden", !matches.length);
+
+  for (const match of matches) {
+    const row = document.createElement("div");
+    row.className = "match-row";
+
+    const name = document.createElement("a");
+    name.className = "match-name";
+    name.href = match.url;
+    name.target = "_blank";
+    name.textContent = match.name;
+    row.appendChild(name);
+
+    const meta = document.createElement("div");
+    meta.className = "match-meta";
+    meta.textContent = match.summary || "";
+    row.appendChild(meta);
+
+    const url = document.createElement("div");
+    url.className = "match-meta";
+    url.textContent = match.linkedin_url || "No LinkedIn URL in Parker";
+    row.appendChild(url);
+
+    const btn = document.createElement("button");
+    btn.className = "btn btn-secondary btn-small";
+    btn.textContent = "This is the same person";
+    btn.addEventListener("click", () => selectPossibleMatch(match, btn));
+    row.appendChild(btn);
+
+    const attachBtn = document.createElement("button");
+    attachBtn.className = "btn btn-secondary btn-small";
+    attachBtn.textContent = "Attach this LinkedIn URL";
+    attachBtn.addEventListener("click", () => attachLinkedinUrl(match, attachBtn));
+    row.appendChild(attachBtn);
+
+    container.appendChild(row);
+  }
+}
+
+async function selectPossibleMatch(match, btn) {
+  btn.disabled = true;
+  btn.textContent = "Loading\u2026";
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: "SELECT_POSSIBLE_MATCH",
+      linkedinUrl: $("field-url").value.trim(),
+      candidatePath: match.path,
+      tabId: currentTabId,
+    });
+    if (result.found) {
+      renderFound(result.candidate || {});
+    } else {
+      showError(result, "Could not load candidate.");
+    }
+  } catch (err) {
+    showError({ error: err.message }, "Could not connect to Parker.");
+  }
+}
+
+// ---- Owner / sourced-by roster ------------------------------------------
+
+function fillUserSelect(select, options, selectedId) {
+  select.innerHTML = "";
+  const blank = document.createElement("option");
+  blank.value = "";
+  blank.textContent = "\u2014 Choose \u2014";
+  select.appendChild(blank);
+  for (const option of options) {
+    const el = document.createElement("option");
+    el.value = option.id;
+    el.textContent = option.label;
+    select.appendChild(el);
+  }
+  select.value = selectedId || "";
+}
+
+async function loadTeamRoster() {
+  const warning = $("owner-warning");
+  warning.textContent = "";
+  try {
+    const roster = await chrome.runtime.sendMessage({ type: "GET_TEAM_ROSTER" });
+    if (!roster.ok) {
+      warning.textContent = roster.error || "Could not load Parker's user list.";
+      return;
+    }
+    fillUserSelect($("field-owner"), roster.owners, roster.currentOwnerId);
+    fillUserSelect(
+      $("field-sourced-by"),
+      roster.sourcedBy,
+      roster.currentSourcedById || roster.currentOwnerId
+    );
+    if (roster.owners.length && !roster.currentOwnerId) {
+      warning.textContent =
+        `Your Parker email (${roster.email || "not set"}) isn't in Parker's owner list. Choose an owner.`;
+    }
+  } catch (err) {
+    warning.textContent = err.message || "Could not load Parker's user list.";
   }
 }
 
@@ -140,12 +644,25 @@ async function createCandidate() {
     lastName: $("field-last").value.trim(),
     linkedinUrl: $("field-url").value.trim(),
     sourcedDate: $("field-date").value,
+    headline: $("field-headline").value.trim(),
+    title: $("field-title").value.trim(),
+    company: $("field-company").value.trim(),
+    location: $("field-location").value.trim(),
+    ownerId: $("field-owner").value,
+    sourcedById: $("field-sourced-by").value,
   };
 
   if (!data.firstName || !data.lastName) {
     btn.disabled = false;
     btn.textContent = "Create Candidate";
-    showError("First and last name are required.");
+    showError(null, "First and last name are required.");
+    return;
+  }
+
+  if ($("field-owner").options.length > 1 && !data.ownerId) {
+    btn.disabled = false;
+    btn.textContent = "Create Candidate";
+    $("owner-warning").textContent = "Choose an owner before creating the candidate.";
     return;
   }
 
@@ -153,18 +670,19 @@ async function createCandidate() {
     const result = await chrome.runtime.sendMessage({
       type: "CREATE_CANDIDATE",
       data,
+      tabId: currentTabId,
     });
 
     if (result.ok) {
       $("created-link").href = result.candidate?.url || "#";
       showState(stateCreated);
     } else {
-      showError(result.error || "Failed to create candidate.");
+      showError(result, "Failed to create candidate.");
       btn.disabled = false;
       btn.textContent = "Create Candidate";
     }
   } catch (err) {
-    showError(err.message || "Failed to create candidate.");
+    showError({ error: err.message }, "Failed to create candidate.");
     btn.disabled = false;
     btn.textContent = "Create Candidate";
   }
@@ -202,24 +720,236 @@ function renderTimeline(events) {
   }
 }
 
+// ---- Submissions rendering ----------------------------------------------
+
+const SUBMISSIONS_COLLAPSED_COUNT = 3;
+let submissionsExpanded = false;
+let currentSubmissions = [];
+
+/**
+ * Bucket a Parker stage name for pill colouring.
+ */
+function stageClass(stage) {
+  if (/hired|placed|started|accepted/i.test(stage)) return "won";
+  if (/reject|declin|withdr|closed|lost|pass/i.test(stage)) return "closed";
+  if (/offer/i.test(stage)) return "offer";
+  return "";
+}
+
+function renderSubmissions(submissions) {
+  currentSubmissions = submissions;
+  const section = $("found-submissions");
+  const container = $("found-submission-rows");
+  const toggle = $("btn-submissions-toggle");
+  const count = $("found-submission-count");
+  container.innerHTML = "";
+
+  count.textContent = `${submissions.length} submission${submissions.length === 1 ? "" : "s"}`;
+  count.classList.toggle("hidden", !submissions.length);
+  section.classList.toggle("hidden", !submissions.length);
+  if (!submissions.length) return;
+
+  const visible = submissionsExpanded
+    ? submissions
+    : submissions.slice(0, SUBMISSIONS_COLLAPSED_COUNT);
+  for (const sub of visible) {
+    const row = document.createElement("div");
+    row.className = "submission-row";
+
+    const top = document.createElement("div");
+    top.className = "submission-top";
+
+    const role = document.createElement("span");
+    role.className = "submission-role";
+    role.textContent = [sub.role, sub.company].filter(Boolean).join(" \u2014 ");
+    top.appendChild(role);
+
+    const pill = document.createElement("span");
+    pill.className = `stage-pill ${stageClass(sub.stage || "")}`;
+    pill.textContent = sub.stage || "\u2014";
+    top.appendChild(pill);
+
+    const meta = document.createElement("div");
+    meta.className = "submission-meta";
+    meta.textContent = [sub.dates, sub.owner].filter(Boolean).join(" \u00b7 ");
+
+    row.appendChild(top);
+    row.appendChild(meta);
+    container.appendChild(row);
+  }
+
+  toggle.classList.toggle("hidden", submissions.length <= SUBMISSIONS_COLLAPSED_COUNT);
+  toggle.textContent = submissionsExpanded ? "Show less" : `Show all (${submissions.length})`;
+}
+
 // ---- Error handling -----------------------------------------------------
 
-function showError(message) {
-  $("error-message").textContent = message;
+// Recovery action offered per error code (keep in sync with errors.js)
+const ERROR_ACTIONS = {
+  AUTH_REQUIRED: "settings",
+  AUTH_FAILED: "settings",
+  NETWORK: "retry",
+  HTTP_5XX: "retry",
+  RATE_LIMITED: "retry",
+  CSRF_MISSING: "report",
+  PARSE_FAILED: "report",
+  DUPLICATE: "record",
+};
+
+// Delays before automatic lookup retries; after these, manual only
+const RETRY_DELAYS_MS = [2000, 5000, 15000];
+let retryTimer = null;
+
+/**
+ * Show the error state for a failure result ({ error, code }) with the
+ * recovery action its code calls for. For transient errors, `retry`
+ * (called with the next attempt number) is scheduled with backoff.
+ */
+function showError(result, fallback, { retry = null, attempt = 0 } = {}) {
+  clearTimeout(retryTimer);
+  const action = ERROR_ACTIONS[result?.code];
+  const actionBtn = $("btn-error-action");
+  const hint = $("error-hint");
+  $("error-message").textContent = result?.error || fallback;
+  hint.textContent = "";
+  actionBtn.classList.add("hidden");
+
+  const offer = (label, onClick) => {
+    actionBtn.textContent = label;
+    actionBtn.onclick = onClick;
+    actionBtn.classList.remove("hidden");
+  };
+
+  if (action === "settings") {
+    offer("Open settings", openSettings);
+  } else if (action === "report") {
+    hint.textContent = "Parker's pages may have changed.";
+    offer("Report parser issue", async () => {
+      await openSettings();
+      openDiagnostics();
+      runDiagnostics();
+    });
+  } else if (action === "record" && result.candidate) {
+    offer("Show existing record", () => renderFound(result.candidate));
+  } else if (action === "retry" && retry && attempt < RETRY_DELAYS_MS.length) {
+    const delay = RETRY_DELAYS_MS[attempt];
+    hint.textContent = `Retrying in ${delay / 1000}s\u2026`;
+    retryTimer = setTimeout(() => retry(attempt + 1), delay);
+  }
+
   showState(stateError);
 }
 
+/**
+ * Whether a failed inline action (note, edit) should switch to the
+ * error state so its recovery action can be offered.
+ */
+function needsErrorState(result) {
+  const action = ERROR_ACTIONS[result?.code];
+  return !!action && action !== "retry";
+}
+
 // ---- Settings -----------------------------------------------------------
 
 async function openSettings() {
   mainView.classList.add("hidden");
+  diagnosticsView.classList.add("hidden");
   settingsView.classList.remove("hidden");
   $("settings-status").textContent = "";
 
-  // Load current settings
+  // Load current settings — the password itself is never sent back
   const settings = await chrome.runtime.sendMessage({ type: "GET_SETTINGS" });
   $("setting-email").value = settings.parkerEmail || "";
-  $("setting-password").value = settings.parkerPassword || "";
+  $("setting-credential-mode").value = settings.credentialMode || "session";
+  $("setting-password").value = "";
+  $("setting-password").placeholder =
+    settings.hasPassword || settings.hasEncryptedPassword ? "Saved \u2014 leave blank to keep" : "";
+  $("setting-passphrase").value = "";
+  $("setting-parker-url").value =
+    settings.parkerBaseUrl && settings.parkerBaseUrl !== DEFAULT_PARKER_BASE ? settings.parkerBaseUrl : "";
+  $("setting-cache-found").value = settings.cacheTtlFoundMinutes ?? DEFAULT_CACHE_TTL_FOUND_MINUTES;
+  $("setting-cache-not-found").value = settings.cacheTtlNotFoundMinutes ?? DEFAULT_CACHE_TTL_NOT_FOUND_MINUTES;
+  $("setting-max-requests").value = settings.maxConcurrentRequests ?? DEFAULT_MAX_CONCURRENT_REQUESTS;
+  $("setting-max-search-pages").value = settings.maxSearchPages ?? DEFAULT_MAX_SEARCH_PAGES;
+  $("setting-display-mode").value = settings.displayMode || DEFAULT_DISPLAY_MODE;
+  updateCredentialFields();
+}
+
+const CREDENTIAL_MODE_HINTS = {
+  "session": "No password is stored. If your Parker session expires, a Parker sign-in tab opens.",
+  "session-password": "Kept in memory only and forgotten when Chrome closes. Never synced.",
+  "encrypted": "Stored on this device, encrypted with your passphrase. You'll unlock it once per browser session.",
+};
+
+function updateCredentialFields() {
+  const mode = $("setting-credential-mode").value;
+  $("setting-password-field").classList.toggle("hidden", mode === "session");
+  $("setting-passphrase-field").classList.toggle("hidden", mode !== "encrypted");
+  $("setting-credential-hint").textContent = CREDENTIAL_MODE_HINTS[mode] || "";
+}
+
+async function unlock() {
+  const result = await chrome.runtime.sendMessage({
+    type: "UNLOCK_CREDENTIALS",
+    passphrase: $("unlock-passphrase").value,
+  });
+  if (result.ok) {
+    $("unlock-passphrase").value = "";
+    $("unlock-status").textContent = "";
+    await checkCurrentTab();
+  } else {
+    $("unlock-status").textContent = result.error || "Could not unlock.";
+  }
+}
+
+/**
+ * Read a non-negative whole number of minutes from a settings input,
+ * falling back to the default when the field is empty or invalid.
+ */
+function readMinutes(id, fallback) {
+  const value = parseInt($(id).value, 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Ask Chrome for access to a non-default Parker instance. Must be called
+ * before anything else is awaited so the click still counts as a user
+ * gesture. Returns false if access was refused. Invalid URLs are left
+ * for the background worker to report.
+ */
+async function requestParkerAccess(baseUrl) {
+  let origin;
+  try {
+    origin = new URL(baseUrl).origin;
+  } catch {
+    return true;
+  }
+  if (origin === DEFAULT_PARKER_BASE) return true;
+  try {
+    return await chrome.permissions.request({ origins: [`${origin}/*`] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the request concurrency limit, clamped to 1..MAX_CONCURRENT_REQUESTS_LIMIT.
+ */
+function readMaxRequests() {
+  const value = parseInt($("setting-max-requests").value, 10);
+  return Number.isFinite(value)
+    ? Math.min(Math.max(value, 1), MAX_CONCURRENT_REQUESTS_LIMIT)
+    : DEFAULT_MAX_CONCURRENT_REQUESTS;
+}
+
+/**
+ * Read the search page cap, clamped to 1..MAX_SEARCH_PAGES_LIMIT.
+ */
+function readMaxSearchPages() {
+  const value = parseInt($("setting-max-search-pages").value, 10);
+  return Number.isFinite(value)
+    ? Math.min(Math.max(value, 1), MAX_SEARCH_PAGES_LIMIT)
+    : DEFAULT_MAX_SEARCH_PAGES;
 }
 
 function closeSettings() {
@@ -228,18 +958,50 @@ function closeSettings() {
 }
 
 async function saveSettings() {
+  const statusEl = $("settings-status");
+  const parkerBaseUrl = $("setting-parker-url").value.trim();
+  if (parkerBaseUrl && !(await requestParkerAccess(parkerBaseUrl))) {
+    statusEl.textContent = "Chrome didn't grant access to that Parker URL.";
+    statusEl.style.color = "#ff3b30";
+    return false;
+  }
+
+  const credentials = await chrome.runtime.sendMessage({
+    type: "SET_CREDENTIALS",
+    mode: $("setting-credential-mode").value,
+    password: $("setting-password").value,
+    passphrase: $("setting-passphrase").value,
+  });
+  if (!credentials.ok) {
+    statusEl.textContent = credentials.error || "Could not save credentials.";
+    statusEl.style.color = "#ff3b30";
+    return false;
+  }
+
   const settings = {
     parkerEmail: $("setting-email").value.trim(),
-    parkerPassword: $("setting-password").value,
+    parkerBaseUrl,
+    cacheTtlFoundMinutes: readMinutes("setting-cache-found", DEFAULT_CACHE_TTL_FOUND_MINUTES),
+    cacheTtlNotFoundMinutes: readMinutes("setting-cache-not-found", DEFAULT_CACHE_TTL_NOT_FOUND_MINUTES),
+    maxConcurrentRequests: readMaxRequests(),
+    maxSearchPages: readMaxSearchPages(),
+    displayMode: $("setting-display-mode").value,
   };
 
-  await chrome.runtime.sendMessage({ type: "SAVE_SETTINGS", settings });
-  $("settings-status").textContent = "Settings saved.";
-  $("settings-status").style.color = "#34c759";
+  const saved = await chrome.runtime.sendMessage({ type: "SAVE_SETTINGS", settings });
+  if (!saved.ok) {
+    statusEl.textContent = saved.error || "Could not save settings.";
+    statusEl.style.color = "#ff3b30";
+    return false;
+  }
+  $("migration-notice").classList.add("hidden");
+  statusEl.textContent = "Settings saved.";
+  statusEl.style.color = "#34c759";
   setTimeout(() => {
     closeSettings();
     checkCurrentTab();
   }, 800);
+  return true;
 }
 
 async function testLogin() {
@@ -248,7 +1010,7 @@ async function testLogin() {
   statusEl.style.color = "#86868b";
 
   // Save first so background picks up new creds
-  await saveSettings();
+  if (!(await saveSettings())) return;
 
   // Small delay so save completes
   await new Promise((r) => setTimeout(r, 200));
@@ -267,3 +1029,123 @@ async function testLogin() {
     statusEl.style.color = "#ff3b30";
   }
 }
+
+// ---- Diagnostics --------------------------------------------------------
+
+// Redacted copy of the last report, for export
+let diagnosticsReport = null;
+
+function openDiagnostics() {
+  settingsView.classList.add("hidden");
+  diagnosticsView.classList.remove("hidden");
+}
+
+function closeDiagnostics() {
+  diagnosticsView.classList.add("hidden");
+  settingsView.classList.remove("hidden");
+}
+
+async function runDiagnostics() {
+  const btn = $("btn-run-diagnostics");
+  const summary = $("diagnostics-summary");
+  btn.disabled = true;
+  btn.textContent = "Running\u2026";
+  $("diagnostics-steps").replaceChildren();
+  $("diagnostics-lookup").replaceChildren();
+  $("diagnostics-lookup-hint").textContent = "";
+  summary.textContent = "";
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "RUN_DIAGNOSTICS" });
+    if (!result.ok) throw new Error(result.error || "Diagnostics failed.");
+    diagnosticsReport = result.redacted;
+    renderDiagnostics(result.report);
+    $("btn-export-diagnostics").disabled = false;
+  } catch (err) {
+    summary.textContent = err.message || "Could not run diagnostics.";
+    summary.style.color = "#ff3b30";
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Run again";
+  }
+}
+
+function diagnosticsRow(state, labelText, msText, detailText) {
+  const row = document.createElement("div");
+  row.className = `diag-step ${state}`;
+
+  const icon = document.createElement("span");
+  icon.className = "diag-icon";
+  icon.textContent = { pass: "\u2713", fail: "\u2717", skipped: "\u2013" }[state];
+
+  const label = document.createElement("span");
+  label.className = "diag-label";
+  label.textContent = labelText;
+
+  const ms = document.createElement("span");
+  ms.className = "diag-ms";
+  ms.textContent = msText;
+
+  const detail = document.createElement("span");
+  detail.className = "diag-detail";
+  detail.textContent = detailText;
+
+  row.append(icon, label, ms, detail);
+  return row;
+}
+
+function renderDiagnostics(report) {
+  const container = $("diagnostics-steps");
+  container.replaceChildren();
+
+  for (const step of report.steps) {
+    const state = step.skipped ? "skipped" : step.ok ? "pass" : "fail";
+    container.appendChild(
+      diagnosticsRow(state, step.label, step.skipped ? "" : `${step.ms} ms`, step.detail)
+    );
+  }
+
+  renderLookupTimings(report.lastLookup);
+
+  const failed = report.steps.filter((step) => !step.ok && !step.skipped).length;
+  const summary = $("diagnostics-summary");
+  summary.textContent = failed
+    ? `${failed} step${failed === 1 ? "" : "s"} failed \u2014 ${report.parkerBase}`
+    : `All checks passed \u2014 ${report.parkerBase}`;
+  summary.style.color = failed ? "#ff3b30" : "#34c759";
+}
+
+/**
+ * Per-strategy timings of the most recent lookup, if there was one
+ * since the browser started.
+ */
+function renderLookupTimings(lastLookup) {
+  const container = $("diagnostics-lookup");
+  container.replaceChildren();
+  if (!lastLookup?.timings?.length) {
+    $("diagnostics-lookup-hint").textContent = "";
+    return;
+  }
+  const at = new Date(lastLookup.at).toLocaleTimeString();
+  $("diagnostics-lookup-hint").textContent = `Last lookup (${at}), by search strategy:`;
+  for (const { strategy, outcome, ms } of lastLookup.timings) {
+    const state = outcome === "match" ? "pass" : outcome === "error" ? "fail" : "skipped";
+    container.appendChild(diagnosticsRow(state, strategy, `${ms} ms`, outcome));
+  }
+}
+
+/**
+ * Download the redacted report as JSON, e.g. to attach to a bug report.
+ */
+function exportDiagnostics() {
+  if (!diagnosticsReport) return;
+  const blob = new Blob([JSON.stringify(diagnosticsReport, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `parker-diagnostics-${diagnosticsReport.startedAt.replace(/[:.]/g, "-")}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
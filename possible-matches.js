@@ -0,0 +1,138 @@
+/**
+ * Ranking of "possible matches" — Parker search result rows whose name
+ * resembles the LinkedIn profile but whose LinkedIn URL doesn't match
+ * exactly (legacy vanity URLs, or records with no URL at all).
+ */
+
+const MIN_NAME_SCORE = 0.65;
+const MAX_POSSIBLE_MATCHES = 5;
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/**
+ * Lowercase, strip diacritics and punctuation, collapse whitespace.
+ */
+function normalizeText(str) {
+  return (str || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bigrams(str) {
+  const s = str.replace(/\s+/g, "");
+  const grams = [];
+  for (let i = 0; i < s.length - 1; i++) grams.push(s.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * Sørensen–Dice coefficient over character bigrams (0..1).
+ */
+function diceCoefficient(a, b) {
+  const ga = bigrams(a);
+  const gb = bigrams(b);
+  if (!ga.length || !gb.length) return a === b ? 1 : 0;
+  const counts = new Map();
+  for (const g of ga) counts.set(g, (counts.get(g) || 0) + 1);
+  let overlap = 0;
+  for (const g of gb) {
+    const n = counts.get(g) || 0;
+    if (n > 0) {
+      overlap++;
+      counts.set(g, n - 1);
+    }
+  }
+  return (2 * overlap) / (ga.length + gb.length);
+}
+
+function tokenMatches(token, tokens) {
+  if (!token) return 0;
+  if (tokens.includes(token)) return 1;
+  // Short forms: "alex" vs "alexander", "chris" vs "christopher"
+  if (token.length >= 3 && tokens.some((t) => t.length >= 3 &&
+      (t.startsWith(token.slice(0, 3)) || token.startsWith(t.slice(0, 3))))) {
+    return 0.5;
+  }
+  return 0;
+}
+
+/**
+ * Score how closely a Parker row name matches the target first/last
+ * name (0..1). Combines per-token first/last name matches with a fuzzy
+ * whole-name comparison so reordered or hyphenated names still score.
+ */
+export function nameSimilarity(rowName, firstName, lastName) {
+  const row = normalizeText(rowName);
+  const first = normalizeText(firstName);
+  const last = normalizeText(lastName);
+  if (!row || (!first && !last)) return 0;
+
+  const rowTokens = row.split(" ");
+  const lastTokens = last ? last.split(" ") : [];
+  const firstScore = tokenMatches(first.split(" ")[0], rowTokens);
+  const lastScore = lastTokens.length
+    ? Math.max(...lastTokens.map((t) => tokenMatches(t, rowTokens)))
+    : 0;
+  const tokenScore = first && last
+    ? 0.4 * firstScore + 0.6 * lastScore
+    : firstScore || lastScore;
+
+  const fuzzy = diceCoefficient(row, `${first} ${last}`.trim());
+  return Math.max(tokenScore, fuzzy);
+}
+
+function rowMentions(row, value) {
+  const needle = normalizeText(value);
+  if (!needle) return false;
+  return row.cells.some((cell) => normalizeText(cell).includes(needle));
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * Rank search result rows (from parseSearchResultRows) as possible
+ * matches for a LinkedIn profile. Rows below the name-similarity
+ * threshold are dropped; company and location matches boost the score.
+ *
+ * Returns at most MAX_POSSIBLE_MATCHES entries, best first:
+ *   [{ id, path, name, linkedin_url, summary, score, reasons }]
+ */
+export function rankPossibleMatches(rows, { firstName, lastName, company, location }) {
+  const ranked = [];
+  for (const row of rows) {
+    const nameScore = nameSimilarity(row.name, firstName, lastName);
+    if (nameScore < MIN_NAME_SCORE) continue;
+
+    const reasons = [];
+    let score = 0.7 * nameScore;
+    if (company && rowMentions(row, company)) {
+      score += 0.15;
+      reasons.push("company");
+    }
+    if (location && rowMentions(row, location.split(",")[0])) {
+      score += 0.15;
+      reasons.push("location");
+    }
+
+    const idMatch = row.path.match(/\/candidates\/(\d+)/);
+    ranked.push({
+      id: idMatch ? idMatch[1] : "",
+      path: row.path,
+      name: row.name,
+      linkedin_url: row.linkedin_url,
+      summary: row.cells
+        .filter((cell) => cell && cell !== row.name && !/linkedin\.com/i.test(cell))
+        .slice(0, 3)
+        .join(" · "),
+      score: Math.round(score * 100) / 100,
+      reasons,
+    });
+  }
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_POSSIBLE_MATCHES);
+}
@@ -0,0 +1,223 @@
+/**
+ * Shared request queue for all Parker HTTP traffic.
+ *
+ * Every fetch to Parker from the service worker goes through
+ * queuedFetch(), which caps how many requests are in flight at once
+ * (across all tabs), aborts requests that hang, and retries transient
+ * failures with exponential backoff, honouring Retry-After. A request
+ * holds its slot and its timeout until the body has been read, so slow
+ * downloads count against both. Priority requests (the lookup for the
+ * profile the user is looking at) take free slots ahead of everything
+ * else queued, such as the search result chips' lookups.
+ *
+ * Only idempotent requests (GET) are retried after network failures and
+ * 5xx responses. A POST may already have been applied by Parker, so it
+ * is retried only on 429, where the server says it did nothing.
+ */
+
+import {
+  DEFAULT_MAX_CONCURRENT_REQUESTS,
+  MAX_CONCURRENT_REQUESTS_LIMIT,
+} from "./settings-defaults.js";
+
+const REQUEST_TIMEOUT_MS = 20 * 1000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10 * 1000;
+// Longest Retry-After we'll wait out before giving up on a request
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+let maxConcurrent = DEFAULT_MAX_CONCURRENT_REQUESTS;
+let active = 0;
+// Callbacks that grant a slot, in arrival order; `urgent` goes first
+const urgent = [];
+const waiting = [];
+
+// ── Concurrency setting ──────────────────────────────────────────────────
+
+function clampConcurrency(value) {
+  return Number.isInteger(value)
+    ? Math.min(Math.max(value, 1), MAX_CONCURRENT_REQUESTS_LIMIT)
+    : DEFAULT_MAX_CONCURRENT_REQUESTS;
+}
+
+chrome.storage.sync.get("maxConcurrentRequests").then(({ maxConcurrentRequests }) => {
+  maxConcurrent = clampConcurrency(maxConcurrentRequests);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.maxConcurrentRequests) {
+    maxConcurrent = clampConcurrency(changes.maxConcurrentRequests.newValue);
+    drain();
+  }
+});
+
+// ── Slots ────────────────────────────────────────────────────────────────
+
+function drain() {
+  while (active < maxConcurrent && (urgent.length || waiting.length)) {
+    active++;
+    (urgent.shift() || waiting.shift())();
+  }
+}
+
+/**
+ * Wait for a free slot, ahead of non-priority requests if `priority`.
+ * Rejects with the signal's reason if `signal` aborts while still
+ * waiting (no slot is held then).
+ */
+function acquireSlot(signal, priority) {
+  const queue = priority ? urgent : waiting;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      const index = queue.indexOf(grant);
+      if (index !== -1) queue.splice(index, 1);
+      reject(signal.reason);
+    };
+    const grant = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    };
+    queue.push(grant);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    drain();
+  });
+}
+
+function releaseSlot() {
+  active--;
+  drain();
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (delta-seconds or an
+ * HTTP date), or null if absent or unparseable.
+ */
+function parseRetryAfter(response) {
+  const header = response?.headers.get("Retry-After");
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: random in [0, base * 2^attempt].
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function isRetryableStatus(status, idempotent) {
+  if (status === 429) return true;
+  return idempotent && status >= 500;
+}
+
+/**
+ * A Response whose body has already been read: the same status, URL and
+ * headers, and a text() that resolves with the buffered body.
+ */
+function bufferedResponse(response, body) {
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    url: response.url,
+    redirected: response.redirected,
+    headers: response.headers,
+    text: async () => body,
+  };
+}
+
+/**
+ * One fetch attempt inside a queue slot, aborted after `timeoutMs`
+ * (headers and body together). A timeout rejects with a DOMException
+ * named "TimeoutError"; an abort from the caller's signal rejects with
+ * that signal's reason.
+ */
+async function attempt(url, init, timeoutMs, signal, priority) {
+  await acquireSlot(signal, priority);
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException("Parker took too long to respond.", "TimeoutError"));
+  }, timeoutMs);
+
+  try {
+    if (signal?.aborted) throw signal.reason;
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return bufferedResponse(response, await response.text());
+  } catch (err) {
+    // fetch rejects with a generic AbortError; surface why it was aborted
+    throw controller.signal.aborted ? controller.signal.reason : err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+    releaseSlot();
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * fetch() through the shared queue. Resolves with the final response,
+ * body already read (see bufferedResponse) — possibly still a 429 / 5xx
+ * once retries are exhausted — or rejects with the last network error
+ * or timeout. Pass `signal` to cancel, including while queued; a
+ * cancelled request is never retried. `priority` requests are started
+ * before any non-priority ones waiting for a slot.
+ */
+export async function queuedFetch(
+  url,
+  init = {},
+  { signal, priority = false, timeoutMs = REQUEST_TIMEOUT_MS } = {}
+) {
+  const idempotent = !init.method || /^(GET|HEAD)$/i.test(init.method);
+
+  for (let retry = 0; ; retry++) {
+    let response = null;
+    try {
+      response = await attempt(url, init, timeoutMs, signal, priority);
+    } catch (err) {
+      if (signal?.aborted || !idempotent || retry >= MAX_RETRIES) throw err;
+    }
+
+    if (response) {
+      if (!isRetryableStatus(response.status, idempotent) || retry >= MAX_RETRIES) {
+        return response;
+      }
+      const retryAfter = parseRetryAfter(response);
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) return response;
+      await sleep(retryAfter ?? backoffDelay(retry), signal);
+    } else {
+      await sleep(backoffDelay(retry), signal);
+    }
+  }
+}
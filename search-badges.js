@@ -0,0 +1,198 @@
+/**
+ * Content script — runs on LinkedIn people search results, "My Network"
+ * and profile pages (for the "People also viewed" rail).
+ *
+ * Finds every /in/ profile link on the page and annotates it with an
+ * inline "In Parker" / "New" chip. Lookups go through the background
+ * LOOKUP_CANDIDATE route via a small bounded-concurrency queue, and new
+ * links are picked up as LinkedIn's infinite scroll loads more results.
+ */
+
+(async () => {
+  "use strict";
+
+  if (window.__parkerSearchBadges) return;
+  window.__parkerSearchBadges = true;
+
+  // Content scripts can't be ES modules; load the shared one dynamically
+  const { canonicalLinkedinUrl } = await import(chrome.runtime.getURL("linkedin-url.js"));
+
+  const MAX_CONCURRENT_LOOKUPS = 3;
+  const SCAN_DEBOUNCE_MS = 400;
+  const CHIP_ATTR = "data-parker-chip";
+
+  // ── Page detection ───────────────────────────────────────────────────
+
+  /**
+   * Return the root element whose /in/ links should be annotated on the
+   * current page, or null if this page type isn't supported.
+   */
+  function getScanRoot() {
+    const path = location.pathname;
+    if (path.startsWith("/search/results/") || path.startsWith("/mynetwork/")) {
+      return document.querySelector("main") || document.body;
+    }
+    if (path.startsWith("/in/")) {
+      // Only the right rail ("People also viewed", "People you may know")
+      return document.querySelector("aside.scaffold-layout__aside") ||
+        document.querySelector("aside");
+    }
+    return null;
+  }
+
+  /**
+   * Whether this profile link is the visible name link of a result
+   * (image-only links and the profile owner's own links are skipped).
+   */
+  function isNameLink(anchor, profileUrl) {
+    if (!anchor.textContent.trim()) return false;
+    if (location.pathname.startsWith("/in/") &&
+        profileUrl === canonicalLinkedinUrl(location.href)) {
+      return false;
+    }
+    return true;
+  }
+
+  // ── Chips ────────────────────────────────────────────────────────────
+
+  const CHIP_STYLES = {
+    loading:  { text: "Parker…",   bg: "#e5e5e7", fg: "#636366" },
+    found:    { text: "In Parker", bg: "#34c759", fg: "#fff" },
+    notFound: { text: "New",       bg: "#ff9500", fg: "#fff" },
+    error:    { text: "Parker ?",  bg: "#ff3b30", fg: "#fff" },
+  };
+
+  function createChip() {
+    const chip = document.createElement("span");
+    chip.className = "parker-status-chip";
+    chip.style.cssText =
+      "display:inline-block; margin-left:6px; padding:1px 7px;" +
+      "border-radius:10px; font-size:11px; font-weight:600; line-height:16px;" +
+      "vertical-align:middle; white-space:nowrap; cursor:default;" +
+      "font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;";
+    setChipState(chip, "loading");
+    return chip;
+  }
+
+  function setChipState(chip, state, { title = "", href = "" } = {}) {
+    const style = CHIP_STYLES[state];
+    chip.textContent = style.text;
+    chip.style.background = style.bg;
+    chip.style.color = style.fg;
+    chip.title = title;
+    chip.style.cursor = href ? "pointer" : "default";
+    chip.onclick = href
+      ? (e) => {
+          // The chip sits inside LinkedIn's profile link — don't follow it
+          e.preventDefault();
+          e.stopPropagation();
+          window.open(href, "_blank");
+        }
+      : null;
+  }
+
+  function applyResult(chip, result) {
+    if (!result || result.error) {
+      setChipState(chip, "error", { title: result?.error || "Lookup failed." });
+    } else if (result.found) {
+      const c = result.candidate || {};
+      const owner = c.current_owner ? ` — Owner: ${c.current_owner}` : "";
+      setChipState(chip, "found", {
+        title: `${c.name || "In Parker"}${owner}`,
+        href: c.url || "",
+      });
+    } else {
+      setChipState(chip, "notFound", { title: "Not in Parker yet" });
+    }
+  }
+
+  // ── Lookup queue ─────────────────────────────────────────────────────
+
+  const results = new Map();   // profileUrl -> lookup result
+  const chips = new Map();     // profileUrl -> Set<chip>
+  const pending = [];          // profileUrls waiting for a lookup slot
+  const queued = new Set();
+  let active = 0;
+
+  function enqueue(profileUrl) {
+    if (results.has(profileUrl) || queued.has(profileUrl)) return;
+    queued.add(profileUrl);
+    pending.push(profileUrl);
+    pump();
+  }
+
+  function pump() {
+    while (active < MAX_CONCURRENT_LOOKUPS && pending.length) {
+      const profileUrl = pending.shift();
+      active++;
+      lookup(profileUrl).finally(() => {
+        active--;
+        queued.delete(profileUrl);
+        pump();
+      });
+    }
+  }
+
+  async function lookup(profileUrl) {
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: "LOOKUP_CANDIDATE",
+        linkedinUrl: profileUrl,
+      });
+    } catch (err) {
+      result = { error: err.message || "Could not connect to Parker." };
+    }
+    // Don't remember errors, so the next scan can retry them
+    if (result && !result.error) results.set(profileUrl, result);
+    for (const chip of chips.get(profileUrl) || []) {
+      applyResult(chip, result);
+    }
+  }
+
+  // ── Scanning ─────────────────────────────────────────────────────────
+
+  function scan() {
+    const root = getScanRoot();
+    if (!root) return;
+
+    for (const anchor of root.querySelectorAll('a[href*="/in/"]')) {
+      if (anchor.hasAttribute(CHIP_ATTR)) continue;
+      const profileUrl = canonicalLinkedinUrl(anchor.getAttribute("href"));
+      if (!profileUrl || !isNameLink(anchor, profileUrl)) continue;
+
+      anchor.setAttribute(CHIP_ATTR, "");
+      const chip = createChip();
+      anchor.appendChild(chip);
+
+      if (!chips.has(profileUrl)) chips.set(profileUrl, new Set());
+      chips.get(profileUrl).add(chip);
+
+      if (results.has(profileUrl)) {
+        applyResult(chip, results.get(profileUrl));
+      } else {
+        enqueue(profileUrl);
+      }
+    }
+
+    // Forget chips LinkedIn has removed from the DOM
+    for (const [profileUrl, set] of chips) {
+      for (const chip of set) {
+        if (!chip.isConnected) set.delete(chip);
+      }
+      if (!set.size) chips.delete(profileUrl);
+    }
+  }
+
+  let scanTimer = null;
+  function scheduleScan() {
+    clearTimeout(scanTimer);
+    scanTimer = setTimeout(scan, SCAN_DEBOUNCE_MS);
+  }
+
+  // Infinite scroll and SPA navigation both show up as DOM mutations
+  const observer = new MutationObserver(scheduleScan);
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  scheduleScan();
+})();
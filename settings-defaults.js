@@ -0,0 +1,20 @@
+/**
+ * Defaults and limits of the settings in chrome.storage.sync.
+ *
+ * Kept free of imports and side effects so the popup can show them
+ * without loading the Parker client or the request queue.
+ */
+
+export const DEFAULT_PARKER_BASE = "https://parker.candidatelabs.com";
+
+// Lookup cache TTLs (lookup-cache.js)
+export const DEFAULT_CACHE_TTL_FOUND_MINUTES = 24 * 60;
+export const DEFAULT_CACHE_TTL_NOT_FOUND_MINUTES = 30;
+
+// Parker requests in flight at once (request-queue.js)
+export const DEFAULT_MAX_CONCURRENT_REQUESTS = 4;
+export const MAX_CONCURRENT_REQUESTS_LIMIT = 8;
+
+// How many pages of search results a name search reads (parker-client.js)
+export const DEFAULT_MAX_SEARCH_PAGES = 3;
+export const MAX_SEARCH_PAGES_LIMIT = 10;
@@ -0,0 +1,100 @@
+/**
+ * Per-tab lookup status and the toolbar icon badge that shows it.
+ *
+ * The sidebar's lookups are recorded per tab so the badge reflects the
+ * profile in that tab even when the sidebar is collapsed, and so the
+ * popup can show the result without looking the profile up again.
+ * Status lives in chrome.storage.session, which outlives service worker
+ * restarts but not the browser session; badges are per tab in Chrome
+ * itself.
+ */
+
+const TAB_STATUS_PREFIX = "tabStatus:";
+
+export const TabStatus = Object.freeze({
+  LOADING: "loading",
+  FOUND: "found",
+  NOT_FOUND: "notFound",
+  ERROR: "error",
+});
+
+const BADGES = {
+  [TabStatus.LOADING]: { text: "…", color: "#8e8e93" },
+  [TabStatus.FOUND]: { text: "✓", color: "#34c759" },
+  [TabStatus.NOT_FOUND]: { text: "NEW", color: "#ff9500" },
+  [TabStatus.ERROR]: { text: "!", color: "#ff3b30" },
+};
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function statusKey(tabId) {
+  return TAB_STATUS_PREFIX + tabId;
+}
+
+async function setBadge(tabId, status) {
+  const badge = BADGES[status];
+  try {
+    await chrome.action.setBadgeText({ tabId, text: badge ? badge.text : "" });
+    if (badge) {
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+      await chrome.action.setBadgeTextColor?.({ tabId, color: "#ffffff" });
+    }
+  } catch {
+    // The tab closed while the lookup was running
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────────
+
+/**
+ * The status a lookup (or create / update) result maps to.
+ */
+export function statusOfResult(result) {
+  if (!result) return TabStatus.LOADING;
+  if (result.error) return TabStatus.ERROR;
+  return result.found ? TabStatus.FOUND : TabStatus.NOT_FOUND;
+}
+
+/**
+ * Record the lookup state for a tab and update its badge. `result` is
+ * the lookup result, or null while the lookup is running.
+ */
+export async function setTabStatus(tabId, linkedinUrl, result = null) {
+  const status = statusOfResult(result);
+  await chrome.storage.session.set({
+    [statusKey(tabId)]: { linkedinUrl, status, result },
+  });
+  await setBadge(tabId, status);
+}
+
+/**
+ * The recorded state for a tab: { linkedinUrl, status, result }, or null.
+ */
+export async function getTabStatus(tabId) {
+  const key = statusKey(tabId);
+  const stored = await chrome.storage.session.get(key);
+  return stored[key] || null;
+}
+
+/**
+ * Forget a tab's state and clear its badge.
+ */
+export async function clearTabStatus(tabId) {
+  await chrome.storage.session.remove(statusKey(tabId));
+  await setBadge(tabId, null);
+}
+
+/**
+ * Call `listener(tabId, state)` whenever a tab's recorded state changes;
+ * `state` is null once it's cleared. For extension pages that stay open
+ * (the side panel).
+ */
+export function onTabStatusChanged(listener) {
+  chrome.storage.session.onChanged.addListener((changes) => {
+    for (const [key, { newValue }] of Object.entries(changes)) {
+      if (key.startsWith(TAB_STATUS_PREFIX)) {
+        listener(Number(key.slice(TAB_STATUS_PREFIX.length)), newValue || null);
+      }
+    }
+  });
+}
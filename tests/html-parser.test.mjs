@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCandidateNotes } from "../html-parser.js";
+
+test("parseCandidateNotes reads author and body from nested children", () => {
+  const html =
+    '<div class="note"><div class="note-author">Bob</div>' +
+    '<div class="note-body">strong Rust</div></div>';
+  assert.deepEqual(parseCandidateNotes(html), [
+    { author: "Bob", date: "", body: "strong Rust" },
+  ]);
+});
+
+test("parseCandidateNotes keeps deeper nesting inside one note", () => {
+  const html = `
+    <div class="notes">
+      <div class="note">
+        <div class="note-header">
+          <div class="note-author"><a href="/users/3">Alice</a></div>
+          <time datetime="2024-05-01">May 1, 2024</time>
+        </div>
+        <div class="note-body"><div><p>Phone screen went well.</p></div></div>
+      </div>
+      <div class="note">
+        <div class="note-author">Bob</div>
+        <div class="note-body">Intro call booked</div>
+      </div>
+    </div>`;
+  assert.deepEqual(parseCandidateNotes(html), [
+    { author: "Alice", date: "May 1, 2024", body: "Phone screen went well." },
+    { author: "Bob", date: "", body: "Intro call booked" },
+  ]);
+});
+
+test("parseCandidateNotes falls back to the note text without a body element", () => {
+  const html =
+    '<li class="comment"><span class="created-by">Dana</span>' +
+    '<span class="timestamp">03/02/24</span> Sent to client</li>';
+  assert.deepEqual(parseCandidateNotes(html), [
+    { author: "Dana", date: "03/02/24", body: "Sent to client" },
+  ]);
+});
+
+test("parseCandidateNotes honours the limit", () => {
+  const note = (n) => `<article class="note"><div class="note-body">Note ${n}</div></article>`;
+  const html = [1, 2, 3].map(note).join("");
+  assert.deepEqual(
+    parseCandidateNotes(html, 2).map((n) => n.body),
+    ["Note 1", "Note 2"]
+  );
+});
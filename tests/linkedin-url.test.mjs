@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  canonicalLinkedinUrl,
+  linkedinProfileSlug,
+  namesFromLinkedinUrl,
+  sameLinkedinProfile,
+} from "../linkedin-url.js";
+
+const JANE = "https://www.linkedin.com/in/jane-doe";
+const MEMBER_ID = "ACwAAAbCdEfGhIjKlMnOp";
+
+test("canonicalLinkedinUrl reduces host variants to www", () => {
+  for (const url of [
+    "https://www.linkedin.com/in/jane-doe",
+    "http://linkedin.com/in/jane-doe",
+    "https://uk.linkedin.com/in/jane-doe",
+    "https://de.linkedin.com/in/jane-doe/",
+    "https://m.linkedin.com/in/jane-doe",
+    "https://www.linkedin.com/mwlite/in/jane-doe",
+    "linkedin.com/in/jane-doe",
+    "/in/jane-doe",
+  ]) {
+    assert.equal(canonicalLinkedinUrl(url), JANE, url);
+  }
+});
+
+test("canonicalLinkedinUrl drops query strings, fragments and case", () => {
+  assert.equal(canonicalLinkedinUrl("https://www.linkedin.com/in/Jane-Doe/?trk=abc"), JANE);
+  assert.equal(canonicalLinkedinUrl("https://uk.linkedin.com/in/jane-doe#about"), JANE);
+  assert.equal(canonicalLinkedinUrl("  https://www.linkedin.com/in/JANE-DOE?a=1#x  "), JANE);
+});
+
+test("canonicalLinkedinUrl drops /details/ and other subpaths", () => {
+  assert.equal(canonicalLinkedinUrl("https://www.linkedin.com/in/jane-doe/details/experience/"), JANE);
+  assert.equal(canonicalLinkedinUrl("linkedin.com/in/jane-doe/overlay/contact-info/"), JANE);
+});
+
+test("percent-encoded and Unicode slugs canonicalize alike", () => {
+  const encoded = "https://www.linkedin.com/in/J%C3%B6rg-M%C3%BCller";
+  const unicode = "https://www.linkedin.com/in/jörg-müller";
+  // "o" + combining diaeresis, normalized to NFC
+  const decomposed = "https://www.linkedin.com/in/jörg-müller";
+
+  assert.equal(linkedinProfileSlug(encoded), "jörg-müller");
+  assert.equal(linkedinProfileSlug(unicode), "jörg-müller");
+  assert.equal(linkedinProfileSlug(decomposed), "jörg-müller");
+  assert.equal(canonicalLinkedinUrl(unicode), "https://www.linkedin.com/in/j%C3%B6rg-m%C3%BCller");
+  assert.equal(canonicalLinkedinUrl(encoded), canonicalLinkedinUrl(unicode));
+});
+
+test("a malformed escape is kept as written", () => {
+  assert.equal(linkedinProfileSlug("https://www.linkedin.com/in/jane%zz"), "jane%zz");
+});
+
+test("member IDs keep their case", () => {
+  const url = `https://www.linkedin.com/in/${MEMBER_ID}?miniProfileUrn=x`;
+  assert.equal(linkedinProfileSlug(url), MEMBER_ID);
+  assert.equal(canonicalLinkedinUrl(url), `https://www.linkedin.com/in/${MEMBER_ID}`);
+  assert.notEqual(
+    canonicalLinkedinUrl(`https://www.linkedin.com/in/${MEMBER_ID.toLowerCase()}`),
+    canonicalLinkedinUrl(url)
+  );
+});
+
+test("non-profile URLs give an empty string", () => {
+  for (const url of [
+    "",
+    null,
+    undefined,
+    "https://www.linkedin.com/company/acme",
+    "https://www.linkedin.com/feed/",
+    "https://www.linkedin.com/in/",
+    "https://www.linkedin.com/talent/profile/AEMAAAbCdEf",
+    "https://www.linkedin.com/sales/lead/ACwAAAbCdEf,NAME_SEARCH",
+    "https://www.example.com/in/jane-doe",
+    "https://linkedin.com.evil.example/in/jane-doe",
+    "javascript:alert(1)//linkedin.com/in/jane-doe",
+    "mailto:jane@linkedin.com",
+  ]) {
+    assert.equal(linkedinProfileSlug(url), "", String(url));
+    assert.equal(canonicalLinkedinUrl(url), "", String(url));
+  }
+});
+
+test("namesFromLinkedinUrl splits the slug and drops the ID suffix", () => {
+  assert.deepEqual(namesFromLinkedinUrl("/in/kaidi-cao-398131117"), ["kaidi", "cao"]);
+  assert.deepEqual(namesFromLinkedinUrl("https://www.linkedin.com/in/jane-doe-b166a9171/"), ["jane", "doe"]);
+  assert.deepEqual(namesFromLinkedinUrl("https://uk.linkedin.com/in/Mary-Ann-Smith?trk=x"), ["mary", "ann", "smith"]);
+  assert.deepEqual(namesFromLinkedinUrl("/in/jane-doe-1a2b3c4d"), ["jane", "doe"]);
+  assert.deepEqual(namesFromLinkedinUrl("/in/jane-doe-dev"), ["jane", "doe", "dev"]);
+  assert.deepEqual(namesFromLinkedinUrl("https://www.linkedin.com/in/J%C3%B6rg-M%C3%BCller"), ["jörg", "müller"]);
+});
+
+test("namesFromLinkedinUrl gives no names for member IDs or non-profiles", () => {
+  assert.deepEqual(namesFromLinkedinUrl(`https://www.linkedin.com/in/${MEMBER_ID}`), []);
+  assert.deepEqual(namesFromLinkedinUrl("https://www.linkedin.com/company/acme"), []);
+  assert.deepEqual(namesFromLinkedinUrl(""), []);
+});
+
+test("sameLinkedinProfile compares canonical forms", () => {
+  assert.equal(sameLinkedinProfile("https://uk.linkedin.com/in/Jane-Doe?trk=1", "linkedin.com/in/jane-doe/"), true);
+  assert.equal(sameLinkedinProfile(JANE, "https://www.linkedin.com/in/jane-doe-2"), false);
+  assert.equal(sameLinkedinProfile("", ""), false);
+  assert.equal(sameLinkedinProfile("https://www.linkedin.com/company/acme", "https://www.linkedin.com/company/acme"), false);
+});
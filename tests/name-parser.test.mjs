@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseProfileName } from "../name-parser.js";
+
+const HEADINGS = [
+  ["Dr. Maria de la Cruz, PhD", "Maria", "de la Cruz"],
+  ["José Luis García", "José Luis", "García"],
+  ["Jane Doe (She/Her)", "Jane", "Doe"],
+  ["Jane Doe she/her", "Jane", "Doe"],
+  ["Mike O'Neil 🚀", "Mike", "O'Neil"],
+  ["Li Wei, CFA", "Li", "Wei"],
+  ["Ludwig van Beethoven", "Ludwig", "van Beethoven"],
+  ["Sam Lee | Open to work", "Sam", "Lee"],
+  ["Robert (Bob) Smith Jr.", "Robert", "Smith"],
+  ["Anna Schmidt MBA, CPA", "Anna", "Schmidt"],
+  ["Wei Ma", "Wei", "Ma"],
+  ["Cher", "Cher", ""],
+];
+
+for (const [heading, firstName, lastName] of HEADINGS) {
+  test(`parseProfileName(${JSON.stringify(heading)})`, () => {
+    assert.deepEqual(parseProfileName(heading), { firstName, lastName });
+  });
+}
+
+test("an abbreviated surname is filled in from the slug", () => {
+  assert.deepEqual(
+    parseProfileName("Jane D.", "https://www.linkedin.com/in/jane-doe-12345"),
+    { firstName: "Jane", lastName: "Doe" }
+  );
+});
+
+test("the slug isn't used when it names someone else", () => {
+  assert.deepEqual(
+    parseProfileName("Jane D.", "https://www.linkedin.com/in/john-doe-12345"),
+    { firstName: "Jane", lastName: "D." }
+  );
+  assert.deepEqual(
+    parseProfileName("Jane D.", "https://www.linkedin.com/in/jane-smith"),
+    { firstName: "Jane", lastName: "D." }
+  );
+});
+
+test("an empty heading takes both names from the slug", () => {
+  assert.deepEqual(
+    parseProfileName("", "/in/kaidi-cao-398131117"),
+    { firstName: "Kaidi", lastName: "Cao" }
+  );
+  assert.deepEqual(
+    parseProfileName("🚀 #OpenToWork", "https://www.linkedin.com/in/kaidi-cao-398131117"),
+    { firstName: "Kaidi", lastName: "Cao" }
+  );
+});
+
+test("an accented first name matches an unaccented slug", () => {
+  assert.deepEqual(
+    parseProfileName("José", "https://www.linkedin.com/in/jose-garcia"),
+    { firstName: "José", lastName: "Garcia" }
+  );
+});
+
+test("a member ID slug adds nothing", () => {
+  assert.deepEqual(
+    parseProfileName("Jane D.", "https://www.linkedin.com/in/ACwAAAbCdEfGhIjKlMnOp"),
+    { firstName: "Jane", lastName: "D." }
+  );
+  assert.deepEqual(
+    parseProfileName("", "https://www.linkedin.com/in/ACwAAAbCdEfGhIjKlMnOp"),
+    { firstName: "", lastName: "" }
+  );
+});